@@ -1,17 +1,157 @@
-/* node.js script that creates a webserver to serve up the pages from the html directory */
+/* node.js script that creates a webserver to serve up the pages from the html directory
+
+ 'node app.js --dev' also watches the directories with Markdown, examples and
+ modules in. When a page changes just that page is rebuilt (with 'bin/build.js
+ --page') and any browsers showing it are reloaded. Other changes (eg. to a
+ module or an image) run bin/build.js, which only rebuilds the pages that are
+ affected, and then reload every browser. */
 
 var express = require('express');
+var fs = require('fs');
+var path = require('path');
+var common = require('./bin/common.js');
 var app = express();
 
+var DEV = process.argv.indexOf('--dev')>=0;
+var HTML_DIR = __dirname + '/html';
+// Directories that modules are served from under /modules/, like the website
+var MODULE_DIRS = ['devices', 'modules', 'boards'];
+// Where buildmodules.sh puts the minified modules
+var MINIFIED_DIR = process.env.MINIFIED_DIR || path.resolve(require('os').homedir(), 'workspace/espruinowebsite/www/modules');
+
+// ---------------------------------------------- Live reload (--dev only)
+var reloadClients = []; // { res, page }
+var RELOAD_SCRIPT = '<script>new EventSource("/__livereload?page="+encodeURIComponent(location.pathname)).onmessage = function() { location.reload(); };</script>';
+
+// The name of the HTML page (without .html) for a source file, as build.js makes it
+function getPageName(file) {
+  return path.basename(file).replace(/ /g, '+').replace(/\.[^.]*$/, '');
+}
+
+// Reload browsers showing the page for the given source file, or all of them
+function reloadBrowsers(file) {
+  var clients = reloadClients.filter(function(client) {
+    return !file || client.page == getPageName(file);
+  });
+  console.log('Reloading ' + clients.length + ' page(s)');
+  clients.forEach(function(client) {
+    client.res.write('data: reload\n\n');
+  });
+}
+
+// Is this a source file that's a page on its own (rather than being used by pages)?
+function isPage(file) {
+  return /\.md$/.test(file) ? !/README\.md$/.test(file) :
+         path.dirname(file) == path.resolve(__dirname, 'examples') && /\.js$/.test(file);
+}
+
+var building = false;
+var buildQueue = []; // source files of pages to build, or undefined for everything
+function rebuild(file) {
+  if (building) {
+    if (buildQueue.indexOf(file)<0) buildQueue.push(file);
+    return;
+  }
+  building = true;
+  var args = [__dirname + '/bin/build.js'];
+  if (file) args.push('--page', file);
+  console.log('Rebuilding ' + (file ? path.relative(__dirname, file) : 'everything') + '...');
+  require('child_process').spawn(process.execPath, args, {
+    cwd : __dirname,
+    stdio : 'inherit'
+  }).on('exit', function(code) {
+    building = false;
+    if (code) console.log('Build FAILED (' + code + ')');
+    else reloadBrowsers(file);
+    // a full build covers any pages that were waiting
+    if (buildQueue.indexOf(undefined)>=0) buildQueue = [undefined];
+    if (buildQueue.length) rebuild(buildQueue.shift());
+  });
+}
+
+function watchSources() {
+  // only the directories with pages or modules in (not html, .git, node_modules, etc)
+  var dirs = ['examples'].concat(MODULE_DIRS).map(function(dir) {
+    return path.resolve(__dirname, dir);
+  });
+  common.getMarkdown(__dirname).forEach(function(file) {
+    var dir = path.dirname(file);
+    if (dirs.indexOf(dir)<0) dirs.push(dir);
+  });
+  var timeouts = {};
+  dirs.forEach(function(dir) {
+    fs.watch(dir, function(event, filename) {
+      if (!filename || !/\.(md|js|externs|png|jpg|gif)$/.test(filename)) return;
+      var file = path.resolve(dir, filename);
+      // wait for editors to finish writing, and group changes together
+      var key = isPage(file) ? file : '';
+      if (timeouts[key]) clearTimeout(timeouts[key]);
+      timeouts[key] = setTimeout(function() {
+        delete timeouts[key];
+        console.log('Changed: ' + path.relative(__dirname, file));
+        rebuild(key ? file : undefined);
+      }, 200);
+    });
+  });
+  console.log('Watching ' + dirs.length + ' directories for changes');
+}
+
+if (DEV) {
+  app.get('/__livereload', function(req, res) {
+    res.writeHead(200, {
+      'Content-Type' : 'text/event-stream',
+      'Cache-Control' : 'no-cache',
+      'Connection' : 'keep-alive'
+    });
+    res.write('\n');
+    var client = { res : res, page : decodeURIComponent(req.query.page || '').replace(/^\//, '').replace(/\.html$/, '') };
+    reloadClients.push(client);
+    req.on('close', function() {
+      reloadClients.splice(reloadClients.indexOf(client), 1);
+    });
+  });
+}
+
+// ---------------------------------------------- Modules
+// The website serves modules (and their minified versions) from /modules/
+app.get('/modules/:file', function(req, res, next) {
+  var minified = /\.min\.js$/.test(req.params.file);
+  var name = req.params.file.replace(/\.min\.js$/, '.js');
+  if (name.substr(-3) != '.js') return next();
+  for (var i in MODULE_DIRS) {
+    var file = path.resolve(__dirname, MODULE_DIRS[i], name);
+    if (path.dirname(file) == path.resolve(__dirname, MODULE_DIRS[i]) && fs.existsSync(file)) {
+      if (minified) {
+        file = path.resolve(MINIFIED_DIR, path.basename(name, '.js') + '.min.js');
+        if (!fs.existsSync(file))
+          return res.status(404).type('text/plain').send(req.params.file + " hasn't been built - run buildmodules.sh");
+      }
+      console.log('returning module: ' + file);
+      return res.type('application/javascript').sendFile(file);
+    }
+  }
+  next();
+});
+
+// ---------------------------------------------- Pages
 app.all('/*', function(req, res, next) {
   if (!req.url.match(/.*\/?\./)) {
     req.url += '.html';
   }
   console.log('returning: ' + req.url);
-  return express.static(__dirname + '/html')(req, res, next);
+  if (DEV && req.url.match(/\.html$/)) {
+    var file = path.resolve(HTML_DIR, '.' + decodeURIComponent(req.url));
+    if (file.indexOf(HTML_DIR + '/')==0 && fs.existsSync(file))
+      return res.type('text/html').send(fs.readFileSync(file).toString() + RELOAD_SCRIPT);
+  }
+  return express.static(HTML_DIR)(req, res, next);
 });
 
-app.listen(process.env.PORT || 3040, function(app){  
+app.listen(process.env.PORT || 3040, function(app){
   var port = this.address().port;
   console.log('** EspruinoDocs - running on http://localhost:%s/EspruinoBoard **', port);
+  if (DEV) {
+    watchSources();
+    rebuild();
+  }
 });
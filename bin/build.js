@@ -15,25 +15,67 @@ var IMAGE_DIR = "refimages/";
 var ESPRUINO_DIR = path.resolve(BASEDIR, "../Espruino");
 var FUNCTION_KEYWORD_FILE = path.resolve(BASEDIR, "../Espruino/function_keywords.js");
 var KEYWORD_JS_FILE = path.resolve(HTML_DIR, "keywords.js");
+var BUILD_CACHE_FILE = path.resolve(HTML_DIR, "buildcache.json");
+var SEARCH_INDEX_FILE = path.resolve(HTML_DIR, "searchindex.js");
+var SEARCH_JS_FILE = path.resolve(HTML_DIR, "search.js");
+
+// 'node build.js --force' ignores the build cache and rebuilds every page
+var FORCE_REBUILD = process.argv.indexOf("--force")>=0;
+/* 'node build.js --page devices/BME280.md' rebuilds just that page (used by
+ 'node app.js --dev'). Other pages, references.json and the search index
+ are left alone until the next full build */
+var ONLY_PAGE = process.argv.indexOf("--page")>=0 ?
+  path.relative(BASEDIR, path.resolve(process.argv[process.argv.indexOf("--page")+1])) : undefined;
 
 var marked = require('marked');
-//var pygmentize = require('pygmentize-bundled')
-//var hljs = require('highlight.js')
-
+var hljs = require('highlight.js');
+var HIGHLIGHT_CSS_FILE = path.resolve(HTML_DIR, "highlight.css");
+
+/* Code block language -> highlight.js language. Blocks with no language
+ are JavaScript that can be sent to Espruino. Blocks marked "Java" (used by
+ APPEND_JSDOC) are highlighted, but the website doesn't add the 'send to
+ Espruino' icon to them as they don't have the sh_javascript class */
+var HIGHLIGHT_LANGUAGES = {
+  "" : "javascript",
+  "javascript" : "javascript",
+  "js" : "javascript",
+  "java" : "java",
+  "c" : "cpp",
+  "cpp" : "cpp",
+  "bash" : "bash",
+  "sh" : "bash",
+  "shell" : "bash",
+  "html" : "xml",
+  "xml" : "xml",
+  "svg" : "xml",
+  "json" : "json"
+};
+
+// Add the 'hljs' class to highlighted code blocks, as highlight.css expects
+var renderer = new marked.Renderer();
+renderer.code = function (code, lang, escaped) {
+  var html = marked.Renderer.prototype.code.call(this, code, lang, escaped);
+  if (!HIGHLIGHT_LANGUAGES[(lang||"").toLowerCase()]) return html;
+  return html.replace(/^<pre><code(?: class="([^"]*)")?>/, function (match, cls) {
+    return '<pre><code class="'+(cls ? cls+' ' : '')+'hljs">';
+  });
+};
 
-// Set default options except highlight which has no default
+// Set default options
 marked.setOptions({
   gfm: true, // github markdown
-// yay. both broken.
-/*  highlight: function (code, lang) {
-    return hljs.highlightAuto(lang, code).value;
-  },*/
-/*  highlight: function (code, lang, callback) {
-    pygmentize({ lang: lang, format: 'html' }, code, function (err, result) {
-      if (err) return callback(err);
-      callback(null, result.toString());
-    });
-  },*/
+  renderer: renderer,
+  // returning the code unchanged makes marked escape it as before
+  highlight: function (code, lang) {
+    var language = HIGHLIGHT_LANGUAGES[(lang||"").toLowerCase()];
+    if (!language) return code;
+    try {
+      return hljs.highlight(language, code, true).value;
+    } catch (e) {
+      WARNING("Unable to highlight "+lang+" code, "+e);
+      return code;
+    }
+  },
   tables: true,
   breaks: false,
   pedantic: false,
@@ -227,6 +269,10 @@ for (i in exampleFiles) {
 
 
 //console.log(markdownFiles);
+if (ONLY_PAGE && markdownFiles.indexOf(ONLY_PAGE)<0) {
+  WARNING(ONLY_PAGE+" isn't a page, building everything");
+  ONLY_PAGE = undefined;
+}
 var fileInfo = grabInfo(markdownFiles, preloadedFiles);
 //console.log(fileInfo.keywords);
 grabWebsiteKeywords(fileInfo.keywords);
@@ -241,7 +287,70 @@ markdownFiles.forEach(function (file) {
   htmlLinks[file] = htmlFile;
 });
 
-fs.writeFileSync(KEYWORD_JS_FILE, "var keywords = "+JSON.stringify(createKeywordsJS(fileInfo.keywords),null,1)+";");
+writeFileIfChanged(KEYWORD_JS_FILE, "var keywords = "+JSON.stringify(createKeywordsJS(fileInfo.keywords),null,1)+";");
+
+// ---------------------------------------------- Build cache
+/* Pages are only rebuilt if the hash of everything that goes into them
+ changes. As well as the page itself that's the build scripts, files
+ used by APPEND_JSDOC/APPEND_PINOUT/images, and the pages that
+ APPEND_KEYWORD/APPEND_USES will list (so a change to another page's
+ KEYWORDS/USES line rebuilds the pages that list it) */
+var crypto = require("crypto");
+
+function hashOf(data) {
+  return crypto.createHash("md5").update(data).digest("hex");
+}
+
+function hashOfFile(filename) {
+  return fs.existsSync(filename) ? hashOf(fs.readFileSync(filename)) : "missing";
+}
+
+function writeFileIfChanged(filename, contents) {
+  if (fs.existsSync(filename) && fs.readFileSync(filename).toString()==contents)
+    return;
+  fs.writeFileSync(filename, contents);
+}
+
+var buildVersion = hashOf(fs.readFileSync(__filename) + fs.readFileSync(path.resolve(__dirname, "common.js")));
+var buildCache = { version : buildVersion, pages : {} };
+if (!FORCE_REBUILD && fs.existsSync(BUILD_CACHE_FILE)) {
+  try {
+    var oldCache = JSON.parse(fs.readFileSync(BUILD_CACHE_FILE));
+    if (oldCache.version == buildVersion)
+      buildCache.pages = oldCache.pages;
+  } catch (e) {
+    WARNING("Couldn't read build cache, rebuilding everything");
+  }
+}
+var newBuildCache = { version : buildVersion, pages : {} };
+
+function getPageHash(file, contents) {
+  var deps = [ contents ];
+  var directory = file.substr(0, file.lastIndexOf("/")+1);
+  contents.split("\n").forEach(function(line) {
+    var match;
+    // pages listed by APPEND_KEYWORD/APPEND_USES (including any '-keyword' rejections)
+    match = line.match(/^\* APPEND_(KEYWORD|USES): (.*)/);
+    if (match!=null) {
+      var infoList = (match[1]=="KEYWORD") ? fileInfo.keywords : fileInfo.parts;
+      match[2].toLowerCase().split(",").forEach(function(kw) {
+        if (kw[0]=="-") kw = kw.substr(1);
+        deps.push(kw+":"+JSON.stringify((infoList[kw]||[]).map(function(a) {
+          return [a.path, a.title, htmlLinks[a.path]];
+        })));
+      });
+    }
+    match = line.match(/^\* APPEND_JSDOC: (.*)/);
+    if (match!=null) deps.push(hashOfFile(directory + match[1]));
+    match = line.match(/^\* APPEND_PINOUT: (.*)/);
+    if (match!=null) deps.push(hashOfFile(HTML_DIR+"boards/" + match[1] + ".html"));
+  });
+  // images (see handleImages)
+  var imageRegex = /!\[[^\]]*\]\(([^)]*)\)/g, match;
+  while ((match = imageRegex.exec(contents)) != null)
+    deps.push(hashOfFile(directory + match[1]));
+  return hashOf(deps.join("\n"));
+}
 
 
 // ---------------------------------------------- Inference code
@@ -253,12 +362,11 @@ var infer = require("tern/lib/infer");
 var defs = [JSON.parse(fs.readFileSync(path.resolve(BASEDIR, "bin/espruino.json")))];
 // Our list of Reference URLs that are used
 var urls = {};
+// The [url, lineNumber] pairs found in each file, which are cached between builds
+var pageRefs = {};
 
-
-function inferFile(filename, fileContents, baseLineNumber) {
-  function addLink(url, node) {
+function addReference(filename, url, lineNumber) {
     if (!(url in urls)) urls[url] = [];
-    var lineNumber = baseLineNumber + require("acorn").getLineInfo(fileContents, node.start).line;
     var link = "/"+htmlLinks[filename]+"#line=";
     var found = false;
     for (var i in urls[url]) {
@@ -271,6 +379,12 @@ function inferFile(filename, fileContents, baseLineNumber) {
     }
     if (!found)
       urls[url].push({ url : link+lineNumber, title : fileTitles[filename]});
+}
+
+function inferFile(filename, fileContents, baseLineNumber) {
+  function addLink(url, node) {
+    var lineNumber = baseLineNumber + require("acorn").getLineInfo(fileContents, node.start).line;
+    pageRefs[filename].push([url, lineNumber]);
   }
 
   var cx = new infer.Context(defs, null);
@@ -342,9 +456,26 @@ function inferMarkdownFile(filename, fileContents) {
 }
 
 // -------------------------------------------------------------
+var pagesSkipped = 0;
 markdownFiles.forEach(function (file) {
    var contents = preloadedFiles[file] ? preloadedFiles[file] : fs.readFileSync(file).toString();
-   
+
+   var cached = buildCache.pages[file];
+   if (ONLY_PAGE && file!=ONLY_PAGE) {
+     pageRefs[file] = cached ? cached.refs : [];
+     if (cached) newBuildCache.pages[file] = cached;
+     pagesSkipped++;
+     return;
+   }
+   var pageHash = getPageHash(file, contents);
+   if (cached && cached.hash==pageHash && fs.existsSync(htmlFiles[file])) {
+     pageRefs[file] = cached.refs;
+     newBuildCache.pages[file] = cached;
+     pagesSkipped++;
+     return;
+   }
+   pageRefs[file] = [];
+
    if (file.substr(-3)==".md") {
     var contentLines = contents.split("\n");
      if (contentLines[3]!="" || contentLines[4].substr(0,6)!="<span " || contentLines[5]!="") {
@@ -429,10 +560,8 @@ markdownFiles.forEach(function (file) {
        var jsfilename = file.substr(0, file.lastIndexOf("/")+1) + match[1];
        var js = fs.readFileSync(jsfilename).toString();
        console.log("APPEND_JSDOC "+jsfilename);
-       var doc = common.getJSDocumentation(js);
-       /* setting the language to Java lets it be highlighted correctly
-       while not adding the 'send to Espruino' icon */
-       contentLines[i] = "```Java\n"+doc+"```\n";
+       // API reference as Markdown, with signatures in ```Java blocks
+       contentLines[i] = common.getJSDocumentation(js);
      }
    }
 
@@ -461,12 +590,36 @@ markdownFiles.forEach(function (file) {
           '<p style="text-align:right;font-size:75%;">This page is auto-generated from <a href="'+github_url+'">GitHub</a>. If you see any mistakes or have suggestions, please <a href="https://github.com/espruino/EspruinoDocs/issues/new?title='+file+'">let us know</a>.</p>';
 
    fs.writeFileSync(htmlFiles[file], html);
+   newBuildCache.pages[file] = { hash : pageHash, refs : pageRefs[file] };
 });
+console.log("Built "+(markdownFiles.length-pagesSkipped)+" pages, "+pagesSkipped+" unchanged");
+fs.writeFileSync(BUILD_CACHE_FILE, JSON.stringify(newBuildCache));
+if (ONLY_PAGE) return;
 
 
 // -----------------------------------------------------------
-// Finally write out the references
+// Finally write out the references, in the same order they'd have been found in
+markdownFiles.forEach(function (file) {
+  pageRefs[file].forEach(function (ref) {
+    addReference(file, ref[0], ref[1]);
+  });
+});
 var refPath = path.resolve(BASEDIR, "references.json");
 console.log("---------------------");
 console.log("Writing references to "+refPath);
-fs.writeFileSync(refPath, JSON.stringify(urls,null,1));
+writeFileIfChanged(refPath, JSON.stringify(urls,null,1));
+
+// -----------------------------------------------------------
+// Full-text search index over the rendered pages (including unchanged ones)
+console.log("Writing search index to "+SEARCH_INDEX_FILE);
+var searchIndex = require("./searchindex.js").createSearchIndex(markdownFiles.map(function (file) {
+  return {
+    title : fileTitles[file],
+    file : htmlLinks[file],
+    html : fs.readFileSync(htmlFiles[file]).toString()
+  };
+}));
+writeFileIfChanged(SEARCH_INDEX_FILE, "var searchIndex = "+JSON.stringify(searchIndex)+";");
+writeFileIfChanged(SEARCH_JS_FILE, fs.readFileSync(path.resolve(__dirname, "search.js")).toString());
+// Styles for the code highlighted by highlight.js
+writeFileIfChanged(HIGHLIGHT_CSS_FILE, fs.readFileSync(require.resolve("highlight.js/styles/default.css")).toString());
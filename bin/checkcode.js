@@ -0,0 +1,129 @@
+// Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission.
+/* Checks that all the JavaScript we have parses, and doesn't use anything
+ that Espruino doesn't support:
+
+  * JavaScript code blocks in '.md' files (with no language, or 'JavaScript'/'js')
+  * examples/*.js
+  * modules in devices/, modules/ and boards/
+
+ USAGE: node bin/checkcode.js [--strict] [--report report.json]
+
+ --strict              exit with a non-zero code if there are any errors
+ --report report.json  also write a machine-readable list of problems
+*/
+
+var fs = require('fs');
+var path = require('path');
+if (fs.existsSync==undefined) fs.existsSync = path.existsSync;
+var acorn = require("acorn");
+var walk = require("acorn/dist/walk");
+var common = require("./common.js");
+
+var BASEDIR = path.resolve(__dirname, "..");
+
+var strict = process.argv.indexOf("--strict")>=0;
+var reportFile = process.argv.indexOf("--report")>=0 ? process.argv[process.argv.indexOf("--report")+1] : undefined;
+
+// Code block languages that are JavaScript
+var JS_LANGUAGES = [ "", "javascript", "js" ];
+
+var problems = [];
+var blockCount = 0;
+
+function report(file, line, column, severity, message) {
+  problems.push({
+    file : path.relative(BASEDIR, file),
+    line : line,
+    column : column,
+    severity : severity,
+    message : message
+  });
+}
+
+/* Check some JavaScript. 'baseLine' is the line in 'file' that the code starts
+ on. Code blocks with no language may not be JavaScript at all, so syntax
+ errors in them are only warnings ('untagged') */
+function checkCode(file, baseLine, code, untagged) {
+  blockCount++;
+  var ast;
+  try {
+    ast = acorn.parse(code, { ecmaVersion : 6, locations : true, allowReturnOutsideFunction : true });
+  } catch (e) {
+    if (!e.loc) throw e;
+    var message = e.message.replace(/ \(\d+:\d+\)$/,"");
+    if (untagged)
+      report(file, baseLine+e.loc.line-1, e.loc.column+1, "warning", message+" - if this isn't JavaScript, give the code block a language");
+    else
+      report(file, baseLine+e.loc.line-1, e.loc.column+1, "error", message);
+    return;
+  }
+  function unsupported(node, severity, message) {
+    report(file, baseLine+node.loc.start.line-1, node.loc.start.column+1, severity, message);
+  }
+  function checkParams(node) {
+    node.params.forEach(function(p) {
+      if (p.type=="AssignmentPattern")
+        unsupported(p, "error", "Default parameters are not supported by Espruino");
+      if (p.type=="ObjectPattern" || p.type=="ArrayPattern")
+        unsupported(p, "error", "Destructuring is not supported by Espruino");
+    });
+  }
+  walk.simple(ast, {
+    Function : checkParams,
+    VariableDeclarator : function(node) {
+      if (node.id.type=="ObjectPattern" || node.id.type=="ArrayPattern")
+        unsupported(node, "error", "Destructuring is not supported by Espruino");
+    },
+    Literal : function(node) {
+      // Espruino understands these, but the ES5 tools used for the
+      // website and minification need common.makeECMA5 to patch them
+      if (typeof node.value=="number" && /^0[bB]/.test(node.raw))
+        unsupported(node, "warning", "Binary literal "+node.raw+" isn't ES5 (use 0x"+node.value.toString(16)+")");
+    }
+  });
+}
+
+// Markdown files - check each code block
+common.getMarkdown(BASEDIR).forEach(function(file) {
+  var lines = fs.readFileSync(file).toString().split("\n");
+  var block = undefined; // { line, language, code : [] }
+  lines.forEach(function(line, idx) {
+    var match = line.match(/^\s*````*\s*([^`\s]*)\s*$/);
+    if (!match) {
+      if (block) block.code.push(line);
+    } else if (!block) {
+      block = { line : idx+2, language : match[1].toLowerCase(), code : [] };
+    } else {
+      if (JS_LANGUAGES.indexOf(block.language)>=0)
+        checkCode(file, block.line, block.code.join("\n"), block.language=="");
+      block = undefined;
+    }
+  });
+  if (block) report(file, block.line-1, 1, "error", "Code block is never closed");
+});
+
+// Examples and modules - check the whole file
+var jsFiles = [];
+["examples","devices","modules","boards"].forEach(function(dir) {
+  common.getFiles(path.resolve(BASEDIR,dir)).forEach(function(file) {
+    if (file.substr(-3)==".js") jsFiles.push(file);
+  });
+});
+jsFiles.forEach(function(file) {
+  checkCode(file, 1, fs.readFileSync(file).toString());
+});
+
+problems.forEach(function(p) {
+  console.log(p.severity.toUpperCase()+": "+p.file+":"+p.line+":"+p.column+": "+p.message);
+});
+var errorCount = problems.filter(function(p) { return p.severity=="error"; }).length;
+console.log("Checked "+blockCount+" code blocks and files, "+errorCount+" errors, "+(problems.length-errorCount)+" warnings");
+
+if (reportFile)
+  fs.writeFileSync(reportFile, JSON.stringify({
+    checked : blockCount,
+    problems : problems
+  },null,1));
+
+if (strict && errorCount)
+  process.exit(1);
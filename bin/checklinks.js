@@ -0,0 +1,164 @@
+// Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission.
+/* Checks that the links in all the '.md' and example files point to
+ something that exists:
+
+  * [[Page]] and [[Module.js]] wiki links
+  * [text](Page), [text](/Page#anchor) and [text](http://www.espruino.com/Page) links
+  * [text](/modules/Module.js) links
+  * require("Module") in code blocks (and example files)
+
+ USAGE: node bin/checklinks.js [--strict] [--report report.json]
+
+ --strict              exit with a non-zero code if there are broken links
+ --report report.json  also write a machine-readable list of broken links
+*/
+
+var fs = require('fs');
+var path = require('path');
+if (fs.existsSync==undefined) fs.existsSync = path.existsSync;
+var common = require("./common.js");
+
+var BASEDIR = path.resolve(__dirname, "..");
+
+// Pages on the Espruino website that don't come from this repository
+var WEBSITE_PAGES = [
+  "Contact+Us", "Download", "Espruino+Kits", "Forum", "Order", "Other+Boards",
+  "Reference", "Search", "binaries", "Web+IDE", "ide"
+];
+// Directories on the Espruino website that aren't in this repository
+var WEBSITE_DIRS = [ "binaries", "modules" ];
+// Directories whose files are copied straight to the website
+var FILE_DIRS = [ "datasheets", "files" ];
+
+var strict = process.argv.indexOf("--strict")>=0;
+var reportFile = process.argv.indexOf("--report")>=0 ? process.argv[process.argv.indexOf("--report")+1] : undefined;
+
+// Work out what pages, modules and files we have
+function getPageName(file) {
+  var name = file.substring(file.lastIndexOf("/")+1);
+  return name.substring(0,name.lastIndexOf(".")).replace(/ /g,"+");
+}
+
+var sourceFiles = common.getMarkdown(BASEDIR);
+common.getFiles(path.resolve(BASEDIR,"examples")).forEach(function(file) {
+  if (file.substr(-3)==".js") sourceFiles.push(file);
+});
+var pages = {};
+sourceFiles.forEach(function(file) { pages[getPageName(file)] = file; });
+WEBSITE_PAGES.forEach(function(page) { pages[page] = "website"; });
+common.getFiles(path.resolve(BASEDIR,"../espruinowebsite/cms")).forEach(function(file) {
+  if (file.substr(-5)==".html") pages[getPageName(file)] = file;
+});
+
+var modules = {};
+["devices","modules","boards"].forEach(function(dir) {
+  common.getFiles(path.resolve(BASEDIR,dir)).forEach(function(file) {
+    if (file.substr(-3)==".js") modules[getPageName(file)] = file;
+  });
+});
+common.BUILTIN_MODULES.forEach(function(module) { modules[module] = "builtin"; });
+
+var files = {};
+FILE_DIRS.forEach(function(dir) {
+  common.getFiles(path.resolve(BASEDIR,dir)).forEach(function(file) {
+    files[dir+"/"+file.substring(file.lastIndexOf("/")+1)] = file;
+  });
+});
+
+// Return an error message if the link target doesn't exist, or undefined
+function checkLink(file, target) {
+  target = target.trim().replace(/^https?:\/\/(www\.)?espruino\.com\//, "/");
+  if (/^([a-z]+:|#|\/\/)/.test(target)) return; // other websites, mailto:, anchors
+  target = target.replace(/[#?].*$/, "");
+  // files next to the page, like images
+  if (target[0]!="/" && target.indexOf("/")>0 &&
+      fs.existsSync(path.resolve(path.dirname(file), target.replace(/\+/g," "))))
+    return;
+  target = target.replace(/^\//, "").replace(/ /g, "+");
+  if (target=="" || target in pages) return;
+  // 'ReferenceBOARDNAME' pages are created from the Espruino repository
+  if (/^Reference[A-Z0-9_]+$/.test(target)) return;
+  if (WEBSITE_DIRS.indexOf(target.split("/")[0])>=0) return;
+  var match = target.match(/^modules\/(.*)\.js$/);
+  if (match) {
+    if (match[1] in modules) return;
+    return "Module '"+match[1]+"' does not exist";
+  }
+  if (target.indexOf("/")>0) {
+    if (target.replace(/\+/g," ") in files || target in files) return;
+    return "File '"+target+"' does not exist";
+  }
+  return "Page '"+target+"' does not exist";
+}
+
+function checkRequire(module) {
+  if (module.indexOf("/")>=0 || module.indexOf(":")>=0) return; // URLs
+  if (module in modules) return;
+  return "Module '"+module+"' does not exist";
+}
+
+var broken = [];
+var linkCount = 0;
+
+function check(file, lineNumber, type, target, message) {
+  linkCount++;
+  if (message===undefined) return;
+  broken.push({
+    file : path.relative(BASEDIR, file),
+    line : lineNumber,
+    type : type,
+    target : target,
+    message : message
+  });
+}
+
+sourceFiles.forEach(function(file) {
+  var isExample = file.substr(-3)==".js";
+  var inCode = false;
+  fs.readFileSync(file).toString().split("\n").forEach(function(line, idx) {
+    var lineNumber = idx+1;
+    var match, regex;
+    if (isExample) {
+      // example files are all code apart from the comment block at the top
+      if (line.indexOf("*/")>=0) inCode = true;
+    } else if (/^\s*```/.test(line) && !/```.*```/.test(line)) {
+      inCode = !inCode;
+    }
+    if (inCode) {
+      regex = /require\(\s*["']([^"']+)["']\s*\)/g;
+      while ((match = regex.exec(line)) != null)
+        check(file, lineNumber, "require", match[1], checkRequire(match[1]));
+      return;
+    }
+    regex = /\[\[([^\]]+)\]\]/g;
+    while ((match = regex.exec(line)) != null) {
+      var link = match[1];
+      if (/^https?:\/\//.test(link)) continue; // youtube videos
+      var jsMatch = link.match(/^([a-zA-Z0-9_\- ]+)\.js$/);
+      if (jsMatch)
+        check(file, lineNumber, "wiki", link, checkRequire(jsMatch[1]));
+      else
+        check(file, lineNumber, "wiki", link, checkLink(file, link));
+    }
+    regex = /(!?)\[[^\]]*\]\(([^)]+)\)/g;
+    while ((match = regex.exec(line)) != null) {
+      if (match[1]=="!") continue; // images are checked by build.js
+      check(file, lineNumber, "link", match[2], checkLink(file, match[2]));
+    }
+  });
+});
+
+broken.forEach(function(b) {
+  console.log("WARNING: "+b.file+":"+b.line+": "+b.message+" ("+b.type+" "+JSON.stringify(b.target)+")");
+});
+console.log("Checked "+linkCount+" links in "+sourceFiles.length+" files, "+broken.length+" broken");
+
+if (reportFile)
+  fs.writeFileSync(reportFile, JSON.stringify({
+    checked : linkCount,
+    files : sourceFiles.length,
+    broken : broken
+  },null,1));
+
+if (strict && broken.length)
+  process.exit(1);
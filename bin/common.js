@@ -12,10 +12,110 @@ exports.makeECMA5 = function(code) {
   return code;
 };
 
-/** Given JavaScript code, parse it and return a flattened version with comments */
-exports.getJSDocumentation = function(js) {
+/** Modules that are built into Espruino rather than being in this repository */
+exports.BUILTIN_MODULES = [
+  "CC3000", "crypto", "dgram", "ESP8266", "ESP32", "Flash", "fs", "hashlib",
+  "heatshrink", "http", "neopixel", "net", "NetworkJS", "Storage", "TelnetServer",
+  "tls", "tv", "Wifi", "WIZnet"
+];
+
+/** Given JavaScript code, return a list of the modules it require()s (only
+ those that are given as string literals) */
+exports.getModuleRequires = function(js) {
+  var requires = [];
+  function add(name) {
+    if (requires.indexOf(name)<0) requires.push(name);
+  }
+  try {
+    var ast = require("acorn").parse(exports.makeECMA5(js), {});
+    require("acorn/dist/walk").simple(ast, { "CallExpression" : function(n) {
+      if (n.callee.type=="Identifier" && n.callee.name=="require" &&
+          n.arguments.length==1 && n.arguments[0].type=="Literal" &&
+          typeof n.arguments[0].value=="string")
+        add(n.arguments[0].value);
+    }});
+  } catch (e) {
+    // can't parse it - fall back to searching the text
+    var regex = /require\(\s*["']([^"']+)["']\s*\)/g, match;
+    while ((match = regex.exec(js)) != null)
+      add(match[1]);
+  }
+  return requires;
+};
+
+/** Parse the text of a JSDoc comment (without the comment markers) into
+ { description, params : [{name,type,description,optional,default}],
+   returns : {type,description}, tags : [{tag,text}] } */
+exports.parseJSDocComment = function(text) {
+  var doc = { description : "", params : [], tags : [] };
+  var lines = (text||"").split("\n").map(function(line) {
+    return line.replace(/^\s*\*\s?/, "");
+  });
+  var current = undefined; // the tag we're adding lines to
+  var description = [];
+  lines.forEach(function(line) {
+    var match = line.match(/^\s*@(\w+)\s*(.*)$/);
+    if (match) {
+      current = { tag : match[1], text : match[2] };
+      doc.tags.push(current);
+    } else if (current) {
+      if (line.trim()) current.text += "\n"+line.trim();
+    } else description.push(line);
+  });
+  doc.description = description.join("\n").trim();
+  doc.tags = doc.tags.filter(function(tag) {
+    var match;
+    if (tag.tag=="param" || tag.tag=="arg" || tag.tag=="argument") {
+      // @param {type} [name=default] description
+      match = tag.text.match(/^(?:\{([^}]*)\}\s*)?(\[[^\]]+\]|[^\s]+)\s*(?:-\s+)?([\s\S]*)$/);
+      if (!match) return true;
+      var param = { name : match[2] };
+      if (match[1]) param.type = match[1];
+      param.description = match[3].trim();
+      if (param.name[0]=="[") {
+        param.name = param.name.slice(1,-1);
+        param.optional = true;
+        var eq = param.name.indexOf("=");
+        if (eq>=0) {
+          param.default = param.name.substr(eq+1);
+          param.name = param.name.substr(0,eq);
+        }
+      }
+      doc.params.push(param);
+      return false;
+    }
+    if (tag.tag=="return" || tag.tag=="returns") {
+      match = tag.text.match(/^(?:\{([^}]*)\}\s*)?([\s\S]*)$/);
+      doc.returns = {};
+      if (match[1]) doc.returns.type = match[1];
+      doc.returns.description = match[2].trim();
+      return false;
+    }
+    return true;
+  });
+  return doc;
+};
+
+/** Given JavaScript code, parse it and return a list of the functions it
+ makes available, with their documentation from comments:
+
+ [ { name : "MQTT.prototype.connect",
+     type : "function" | "method" | "constructor",
+     line : 123,
+     description : "...",
+     params : [ {name,type,description,optional,default}, ... ],
+     returns : { type, description }, // if known
+     tags : [ {tag,text}, ... ] },    // any other @tags
+   ... ]
+
+ Anything tagged @private or @internal is left out.
+
+ It understands 'exports.X = function', 'exports = Fn', 'module.exports = Fn',
+ 'X.prototype.Y = function', 'X.prototype = {...}', object literal exports,
+ and object literals (or 'new X') returned by exported functions. */
+exports.getJSDocumentationInfo = function(js) {
   js = exports.makeECMA5(js);
-  // Parse it and store any '/**' comments we got
+  // Parse it and store any comments we got, indexed by the line after them
   var comments = [];
   var ast = require("acorn").parse(js, {
     locations : true,
@@ -24,55 +124,182 @@ exports.getJSDocumentation = function(js) {
       comments[endLoc.line+1] = text.trim();
     }
   });
-  // convert function to a pretty string
-  function fnToString(node) {
-    var args = node.params.map(function (n) { return n.name; });
-    return "function ("+args.join(", ")+") { ... }";
+
+  var functions = {}; // FunctionDeclarations (or var X = function) by name
+  var functionComments = {}; // the node the comment for each function is above
+  var documented = {};
+  var api = [];
+
+  function add(name, type, fn, commentNode) {
+    if (name in documented) return;
+    documented[name] = true;
+    var doc = exports.parseJSDocComment(comments[commentNode.loc.start.line]);
+    // internals are marked with @private or @internal
+    if (doc.tags.some(function(tag) { return tag.tag=="private" || tag.tag=="internal"; })) return;
+    var entry = { name : name, type : type, line : commentNode.loc.start.line, description : doc.description };
+    // match up the documented parameters with the real ones
+    entry.params = fn.params.map(function(p) {
+      var param = { name : p.name };
+      doc.params.forEach(function(d) {
+        if (d.name==p.name) for (var k in d) param[k] = d[k];
+      });
+      return param;
+    });
+    // add any others (eg. 'options.foo')
+    doc.params.forEach(function(d) {
+      if (!entry.params.some(function(p) { return p.name==d.name; }))
+        entry.params.push(d);
+    });
+    if (doc.returns) entry.returns = doc.returns;
+    if (doc.tags.length) entry.tags = doc.tags;
+    api.push(entry);
   }
-  function tweakComment(comment) {
-    comment = ("\n"+comment).
-              replace(/```\n/g,"").
-              replace(/```/g,"").trim();
-   if (comment[0]=="*")
-     return "/" + comment + "\n */\n";
-   else if (comment.indexOf("\n")>=0)
-     return "/* " + comment + "\n*/\n";
-   else
-     return "// " + comment + "\n";
+  function addConstructor(name) {
+    if (name in functions)
+      add(name, "constructor", functions[name], functionComments[name]);
   }
-  
-  var functions = {};
-  var result = "";
-  // Now try and find function definitions in the base of the module
-  // These are either 'exports.XXX = ' or 'XXX.prototype.YYY = '
-  ast.body.forEach(function (expr) {
-    //console.log(expr);
-    if (expr.type=="FunctionDeclaration") {
-      functions[expr.id.name] = expr;
-    }
-    // X.prototype.y = function() ...
-    // exports.foo = function() ...
-    if (expr.type=="ExpressionStatement" && expr.expression.right && expr.expression.right.type=="FunctionExpression") {
-      var left = expr.expression.left;
-      var leftString = undefined;
-      if (left.object.property && left.object.property.name == 'prototype')
-        leftString = left.object.object.name+".prototype."+left.property.name;
-      else if (left.object.name == 'exports')
-        leftString = "exports."+left.property.name;
-      if (leftString) {
-        if (expr.loc.start.line in comments) result += tweakComment(comments[expr.loc.start.line]);
-        result += leftString+" = "+fnToString(expr.expression.right)+"\n\n";
-      }
+  function addObject(prefix, obj, type) {
+    obj.properties.forEach(function(prop) {
+      var key = prop.key.name || prop.key.value;
+      if (prop.value.type=="FunctionExpression")
+        add(prefix+"."+key, type, prop.value, prop);
+    });
+  }
+  // 'a.b.c' for a MemberExpression, or undefined
+  function getName(node) {
+    if (node.type=="Identifier") return node.name;
+    if (node.type=="MemberExpression" && !node.computed) {
+      var obj = getName(node.object);
+      if (obj) return obj+"."+node.property.name;
     }
-    // exports = Function
-    if (expr.type=="ExpressionStatement" && expr.expression.right && expr.expression.right.type=="Identifier" &&
-        (expr.expression.right.name in functions)) {
-       var func = functions[expr.expression.right.name];
-       if (func.loc.start.line in comments) 
-         result += tweakComment(comments[func.loc.start.line]);
-       result += fnToString(func)+"\n\n";
+  }
+  // (function() { ... })() - returns the function
+  function getIIFE(node) {
+    if (node && node.type=="CallExpression" && node.callee.type=="FunctionExpression")
+      return node.callee;
+  }
+  // Look for what an exported function returns
+  function handleReturns(exportName, fn) {
+    var objects = {};
+    (function scan(statements) {
+      statements.forEach(function(s) {
+        if (s.type=="VariableDeclaration")
+          s.declarations.forEach(function(d) {
+            if (d.init && d.init.type=="ObjectExpression") objects[d.id.name] = d.init;
+          });
+        if (s.type=="ReturnStatement" && s.argument) {
+          var arg = s.argument;
+          if (arg.type=="ObjectExpression")
+            addObject(exportName+"()", arg, "method");
+          if (arg.type=="Identifier" && arg.name in objects)
+            addObject(arg.name, objects[arg.name], "method");
+          if (arg.type=="NewExpression" && arg.callee.type=="Identifier")
+            addConstructor(arg.callee.name);
+        }
+        if (s.type=="BlockStatement") scan(s.body);
+        if (s.type=="IfStatement") {
+          scan([s.consequent]);
+          if (s.alternate) scan([s.alternate]);
+        }
+      });
+    })(fn.body.body);
+  }
+  function handleExport(name, value, statement) {
+    if (name=="module.exports") name = "exports";
+    if (value.type=="FunctionExpression") {
+      add(name, "function", value, statement);
+      handleReturns(name, value);
+    } else if (value.type=="Identifier" && value.name in functions) {
+      var fn = functions[value.name];
+      if (name=="exports") name = value.name;
+      add(name, "function", fn, functionComments[value.name]);
+      handleReturns(name, fn);
+    } else if (value.type=="ObjectExpression") {
+      addObject(name, value, "function");
     }
+  }
+
+  (function handleStatements(statements) {
+    statements.forEach(function (s) {
+      if (s.type=="FunctionDeclaration") {
+        functions[s.id.name] = s;
+        functionComments[s.id.name] = s;
+      }
+      if (s.type=="VariableDeclaration") {
+        s.declarations.forEach(function(d) {
+          if (!d.init) return;
+          if (d.init.type=="FunctionExpression") {
+            functions[d.id.name] = d.init;
+            functionComments[d.id.name] = s;
+          }
+          // var X = (function() { ... return X; })();
+          if (getIIFE(d.init)) handleStatements(getIIFE(d.init).body.body);
+        });
+      }
+      if (s.type!="ExpressionStatement") return;
+      if (getIIFE(s.expression)) handleStatements(getIIFE(s.expression).body.body);
+      if (s.expression.type!="AssignmentExpression") return;
+      var name = getName(s.expression.left);
+      var value = s.expression.right;
+      if (!name) return;
+      var path = name.split(".");
+      if (path[0]=="exports" || name=="module.exports" || path.slice(0,2).join(".")=="module.exports") {
+        handleExport(name.replace(/^module\./,""), value, s);
+      } else if (path.length==3 && path[1]=="prototype" && value.type=="FunctionExpression") {
+        // X.prototype.y = function() ...
+        addConstructor(path[0]);
+        documented[path[0]+".prototype."] = true;
+        add(name, "method", value, s);
+      } else if (path.length==2 && path[1]=="prototype" && value.type=="ObjectExpression") {
+        // X.prototype = { ... }
+        addConstructor(path[0]);
+        documented[path[0]+".prototype."] = true;
+        addObject(name, value, "method");
+      } else if (path.length==2 && path[0] in functions && value.type=="FunctionExpression") {
+        // X.y = function() ... (static functions)
+        add(name, "function", value, s);
+      }
+    });
+  })(ast.body);
+  // Exported functions with methods on their prototype are constructors
+  api.forEach(function(entry) {
+    if (entry.type=="function" && documented[entry.name+".prototype."] )
+      entry.type = "constructor";
+  });
+  return api;
+};
 
+/** Given JavaScript code, return Markdown documenting it (for APPEND_JSDOC) */
+exports.getJSDocumentation = function(js) {
+  function cell(s) {
+    return (s||"").replace(/\n/g," ").replace(/\|/g,"\\|");
+  }
+  var result = "";
+  exports.getJSDocumentationInfo(js).forEach(function(entry) {
+    var args = entry.params.filter(function(p) { return p.name.indexOf(".")<0; }).map(function(p) { return p.name; });
+    var signature;
+    if (entry.type=="constructor")
+      signature = "function "+entry.name+"("+args.join(", ")+") { ... }";
+    else
+      signature = entry.name+" = function ("+args.join(", ")+") { ... }";
+    /* setting the language to Java lets it be highlighted correctly
+    while not adding the 'send to Espruino' icon */
+    result += "```Java\n"+signature+"\n```\n\n";
+    if (entry.description)
+      result += entry.description.split("\n").map(function(l) { return l.trim(); }).join("\n")+"\n\n";
+    if (entry.params.some(function(p) { return p.type || p.description; })) {
+      result += "| Parameter | Type | Description |\n";
+      result += "|-----------|------|-------------|\n";
+      entry.params.forEach(function(p) {
+        var desc = cell(p.description);
+        if (p.optional) desc = "(optional) "+desc;
+        if (p.default!==undefined) desc += " (default: `"+cell(p.default)+"`)";
+        result += "| `"+p.name+"` | "+cell(p.type)+" | "+desc+" |\n";
+      });
+      result += "\n";
+    }
+    if (entry.returns)
+      result += ("**Returns:** "+(entry.returns.type ? "`"+entry.returns.type+"` " : "")+cell(entry.returns.description)).trim()+"\n\n";
   });
   return result;
 };
@@ -84,7 +311,7 @@ exports.getFiles = function(dir) {
     var list = fs.readdirSync(dir);
     for (i in list) {
       var file = list[i];
-      if (file == "node_modules" || file == "html") continue;
+      if (file == "node_modules" || file == "html" || file[0] == ".") continue;
       file = dir + '/' + file;
       var stat = fs.statSync(file);
       if (stat && stat.isDirectory()) {
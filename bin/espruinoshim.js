@@ -0,0 +1,581 @@
+// Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission.
+/* A fake Espruino runtime for node.js, so that modules in devices/,
+ modules/ and boards/ can be tested on a normal computer.
+
+ Each environment is a separate JS context with Espruino's globals (I2C,
+ SPI, Serial, pins, setWatch, digitalPulse, E, getTime, etc). Time is
+ virtual - it only moves when you call env.advance(ms), which runs any
+ timeouts, intervals and debounced watches that are due.
+
+ var env = require("./bin/espruinoshim.js").create();
+ // an I2C device with a register map
+ env.I2C1.addDevice(0x76, env.createRegisterDevice({ 0xD0 : 0x60 }));
+ var bme = env.require("BME280").connect(env.I2C1);
+ env.advance(1000);
+
+ // Serial
+ var at = env.require("AT").connect(env.Serial1);
+ env.Serial1.inject("OK\r\n");    // 'data' events, as if received
+ env.Serial1.takeOutput();         // everything written since last time
+
+ // Pins
+ env.setPin(env.B1, 1);            // drive an input - calls setWatch callbacks
+ env.pinHistory                    // [ { time, pin, value }, ... ] of writes
+
+ Built-in modules (net, http, etc) can be added with env.addModule(name, exports).
+*/
+
+var fs = require('fs');
+var path = require('path');
+if (fs.existsSync==undefined) fs.existsSync = path.existsSync;
+var vm = require('vm');
+
+var BASEDIR = path.resolve(__dirname, "..");
+var MODULE_DIRS = ["devices", "modules", "boards"];
+var PIN_PORTS = { A : 16, B : 16, C : 16, D : 32 };
+
+// ---------------------------------------------- Events
+/* In Espruino every object has on/emit/etc, so these are added to
+ Object.prototype in the module's context, and to the fake classes here */
+var events = {
+  on : function(event, listener) {
+    if (!this.__listeners) Object.defineProperty(this, "__listeners", { value : {} });
+    if (!this.__listeners[event]) this.__listeners[event] = [];
+    this.__listeners[event].push(listener);
+  },
+  emit : function(event) {
+    if (!this.__listeners || !this.__listeners[event]) return;
+    var args = Array.prototype.slice.call(arguments, 1);
+    var self = this;
+    this.__listeners[event].slice().forEach(function(listener) {
+      listener.apply(self, args);
+    });
+  },
+  removeListener : function(event, listener) {
+    if (!this.__listeners || !this.__listeners[event]) return;
+    var idx = this.__listeners[event].indexOf(listener);
+    if (idx>=0) this.__listeners[event].splice(idx, 1);
+  },
+  removeAllListeners : function(event) {
+    if (!this.__listeners) return;
+    if (event===undefined) {
+      for (var e in this.__listeners) delete this.__listeners[e];
+    } else delete this.__listeners[event];
+  }
+};
+
+function addEvents(obj) {
+  for (var name in events)
+    Object.defineProperty(obj, name, { value : events[name], writable : true, configurable : true });
+}
+
+// ---------------------------------------------- Helpers
+/** Turn the data arguments to writeTo/send/write/etc into an array of bytes */
+function toBytes(data) {
+  var bytes = [];
+  (function add(d) {
+    if (d===undefined || d===null) return;
+    if (typeof d=="number") bytes.push(d&255);
+    else if (typeof d=="boolean") bytes.push(d?1:0);
+    else if (typeof d=="string") for (var i=0;i<d.length;i++) bytes.push(d.charCodeAt(i)&255);
+    else if (typeof d=="object" && "data" in d && "count" in d) for (var j=0;j<d.count;j++) add(d.data);
+    else if (d.length!==undefined) for (var k=0;k<d.length;k++) add(d[k]);
+    // (ArrayBuffers may come from another context, so don't use instanceof)
+    else if (Object.prototype.toString.call(d)=="[object ArrayBuffer]") add(new Uint8Array(d));
+  })(data);
+  return bytes;
+}
+
+function bytesToString(bytes) {
+  return bytes.map(function(b) { return String.fromCharCode(b); }).join("");
+}
+
+/** A device for I2C or SPI with a map of 8 bit registers. 'registers' is an
+ array or an object of address -> value.
+
+ options = {
+   autoIncrement : true,   // does the register address increment after each byte?
+   onWrite : function(reg, value) {}, // called when a register is written
+   onRead : function(reg) {},  // called before a register is read - can return a value
+   // SPI only - the first byte is the register address. By default the top bit set means read
+   spiReadMask : 0x80,     // bits that decide whether it's a read or write
+   spiRead : 0x80,         // the value of those bits for a read
+   spiAddressMask : 0x7F   // bits that are the register address
+ } */
+function createRegisterDevice(registers, options) {
+  options = options || {};
+  var regs = [];
+  for (var r in registers) regs[r] = registers[r];
+  var autoIncrement = options.autoIncrement!==false;
+  var spiReadMask = options.spiReadMask!==undefined ? options.spiReadMask : 0x80;
+  var spiRead = options.spiRead!==undefined ? options.spiRead : spiReadMask;
+  var spiAddressMask = options.spiAddressMask!==undefined ? options.spiAddressMask : 0x7F;
+  var device = {
+    registers : regs,
+    pointer : 0,
+    readRegister : function() {
+      var v = options.onRead ? options.onRead(device.pointer) : undefined;
+      if (v===undefined) v = regs[device.pointer]|0;
+      if (autoIncrement) device.pointer = (device.pointer+1)&255;
+      return v&255;
+    },
+    writeRegister : function(value) {
+      regs[device.pointer] = value;
+      if (options.onWrite) options.onWrite(device.pointer, value);
+      if (autoIncrement) device.pointer = (device.pointer+1)&255;
+    },
+    // I2C: first byte is the register address, then data to write
+    write : function(bytes) {
+      if (!bytes.length) return;
+      device.pointer = bytes[0];
+      bytes.slice(1).forEach(device.writeRegister);
+    },
+    read : function(count) {
+      var result = [];
+      for (var i=0;i<count;i++) result.push(device.readRegister());
+      return result;
+    },
+    // SPI: first byte is the register address and read/write bit(s)
+    transfer : function(bytes) {
+      if (!bytes.length) return [];
+      device.pointer = bytes[0] & spiAddressMask;
+      var isRead = (bytes[0] & spiReadMask) == spiRead;
+      var result = [0];
+      bytes.slice(1).forEach(function(b) {
+        if (isRead) result.push(device.readRegister());
+        else {
+          device.writeRegister(b);
+          result.push(0);
+        }
+      });
+      return result;
+    }
+  };
+  return device;
+}
+
+// ---------------------------------------------- Environment
+/** Create a new fake Espruino environment. options = { log : false } - if
+ log is true, print()/console.log are also written to node's console */
+exports.create = function(options) {
+  options = options || {};
+  var env = {};
+  var now = 0; // virtual time in ms
+  var timers = [];
+  var nextTimerId = 1;
+  var watches = [];
+  var nextWatchId = 1;
+  var modules = {};
+  var moduleCache = {};
+  var CtxUint8Array; // the context's Uint8Array, so instanceof works in modules
+
+  env.output = []; // everything from print/console.log
+  env.pinHistory = []; // every pin write, as { time, pin, value }
+  env.temperature = 25; // for E.getTemperature
+
+  function log() {
+    var text = Array.prototype.map.call(arguments, function(a) {
+      return (typeof a=="string") ? a : JSON.stringify(a);
+    }).join(" ");
+    env.output.push(text);
+    if (options.log) console.log(text);
+  }
+
+  // ------------------------------------ Time
+  function getTime() { return now/1000; }
+
+  function addTimer(fn, ms, args, interval) {
+    var timer = { id : nextTimerId++, time : now+Math.max(ms|0,0), fn : fn, args : args,
+                  interval : interval ? Math.max(ms|0,1) : undefined };
+    timers.push(timer);
+    return timer.id;
+  }
+  function removeTimer(id) {
+    timers = timers.filter(function(t) { return t.id!=id; });
+  }
+
+  /** Move virtual time forward, running any timers that are due */
+  env.advance = function(ms) {
+    var target = now + (ms||0);
+    for (;;) {
+      var next = undefined;
+      timers.forEach(function(t) {
+        if (t.time<=target && (!next || t.time<next.time || (t.time==next.time && t.id<next.id)))
+          next = t;
+      });
+      if (!next) break;
+      now = next.time;
+      if (next.interval) next.time += next.interval;
+      else removeTimer(next.id);
+      next.fn.apply(undefined, next.args);
+    }
+    now = target;
+  };
+  /** Run timers until there are none left (or 'maxMs' of virtual time has passed) */
+  env.runAll = function(maxMs) {
+    var end = now + (maxMs||60000);
+    while (timers.length && now<end) {
+      var first = Math.min.apply(null, timers.map(function(t) { return t.time; }));
+      env.advance(Math.max(Math.min(first, end)-now, 0));
+      if (first>end) break;
+    }
+  };
+  env.getTime = getTime;
+  env.getTimers = function() { return timers.slice(); };
+
+  // ------------------------------------ Pins
+  function Pin(name) {
+    this.name = name;
+    this.value = 0;
+    this.analogValue = 0;
+    this.pinMode = "input";
+  }
+  Pin.prototype.toString = function() { return this.name; };
+  Pin.prototype.read = function() { return digitalRead(this); };
+  Pin.prototype.write = function(v) { digitalWrite(this, v); };
+  Pin.prototype.set = function() { digitalWrite(this, 1); };
+  Pin.prototype.reset = function() { digitalWrite(this, 0); };
+  Pin.prototype.mode = function(m) { pinMode(this, m); };
+  Pin.prototype.getMode = function() { return this.pinMode; };
+
+  var pins = {};
+  for (var port in PIN_PORTS)
+    for (var i=0;i<PIN_PORTS[port];i++)
+      pins[port+i] = new Pin(port+i);
+  pins.LED1 = new Pin("LED1");
+  pins.LED2 = new Pin("LED2");
+  pins.LED3 = new Pin("LED3");
+  pins.BTN1 = new Pin("BTN1");
+  pins.BTN = pins.BTN1;
+  env.pins = pins;
+
+  function getPin(pin) {
+    if (pin instanceof Pin) return pin;
+    if (typeof pin=="string" && pins[pin]) return pins[pin];
+    if (typeof pin=="number") return pins["D"+pin];
+    throw new Error("Invalid pin "+pin);
+  }
+
+  /** Set a pin's value as if it was driven from outside - calls any watches */
+  env.setPin = function(pin, value) {
+    pin = getPin(pin);
+    value = value ? 1 : 0;
+    if (pin.value==value) return;
+    var lastValue = pin.value;
+    pin.value = value;
+    watches.slice().forEach(function(w) {
+      if (w.pin!==pin) return;
+      if (w.debounce) {
+        // only fire if the pin stays in that state
+        if (w.debounceTimer) removeTimer(w.debounceTimer);
+        w.debounceTimer = addTimer(function() {
+          w.debounceTimer = undefined;
+          if (pin.value==value && value!=w.lastState) fireWatch(w, value);
+        }, w.debounce, []);
+      } else fireWatch(w, value, lastValue);
+    });
+  };
+  /** Set the value analogRead returns for a pin (0..1) */
+  env.setAnalog = function(pin, value) {
+    getPin(pin).analogValue = value;
+  };
+
+  function fireWatch(w, value) {
+    w.lastState = value;
+    if (w.edge=="rising" && !value) return;
+    if (w.edge=="falling" && value) return;
+    var e = { state : !!value, time : getTime(), lastTime : w.lastTime };
+    w.lastTime = e.time;
+    if (!w.repeat) watches.splice(watches.indexOf(w), 1);
+    w.callback(e);
+  }
+
+  function digitalWrite(pin, value) {
+    if (Array.isArray(pin)) {
+      // last pin is the least significant bit
+      for (var i=pin.length-1;i>=0;i--) {
+        digitalWrite(pin[i], value&1);
+        value >>= 1;
+      }
+      return;
+    }
+    pin = getPin(pin);
+    value = value ? 1 : 0;
+    env.pinHistory.push({ time : getTime(), pin : pin.name, value : value });
+    if (pin.pinMode=="input") pin.pinMode = "output";
+    env.setPin(pin, value);
+  }
+  function digitalRead(pin) {
+    if (Array.isArray(pin)) {
+      var value = 0;
+      pin.forEach(function(p) { value = (value<<1) | digitalRead(p); });
+      return value;
+    }
+    return getPin(pin).value;
+  }
+  function digitalPulse(pin, value, time) {
+    pin = getPin(pin);
+    var times = (typeof time=="number") ? [time] : Array.prototype.slice.call(time);
+    var t = 0;
+    digitalWrite(pin, value);
+    times.forEach(function(ms, idx) {
+      t += ms;
+      var v = (idx&1) ? value : !value;
+      addTimer(function() { digitalWrite(pin, v); }, t, []);
+    });
+  }
+  function pinMode(pin, mode) {
+    if (mode!==undefined) getPin(pin).pinMode = mode;
+  }
+  function analogRead(pin) {
+    return getPin(pin).analogValue;
+  }
+  function analogWrite(pin, value, opts) {
+    pin = getPin(pin);
+    pin.analogValue = value;
+    pin.analogOptions = opts;
+    env.pinHistory.push({ time : getTime(), pin : pin.name, value : value, analog : true });
+  }
+  function setWatch(callback, pin, opts) {
+    if (typeof opts=="boolean") opts = { repeat : opts };
+    opts = opts || {};
+    var w = {
+      id : nextWatchId++,
+      callback : callback,
+      pin : getPin(pin),
+      repeat : !!opts.repeat,
+      edge : opts.edge || "both",
+      debounce : opts.debounce|0,
+      lastTime : getTime()
+    };
+    w.lastState = w.pin.value;
+    watches.push(w);
+    return w.id;
+  }
+  function clearWatch(id) {
+    if (id===undefined) watches = [];
+    else watches = watches.filter(function(w) { return w.id!=id; });
+  }
+  env.getWatches = function() { return watches.slice(); };
+
+  // ------------------------------------ I2C
+  function I2C(name) {
+    this.name = name;
+    this.devices = {};
+    this.log = []; // { address, write : [bytes] } or { address, read : [bytes] }
+  }
+  addEvents(I2C.prototype);
+  I2C.prototype.setup = function(opts) { this.options = opts; };
+  /** Add a device (an object with write(bytes) and read(count) functions) */
+  I2C.prototype.addDevice = function(address, device) {
+    this.devices[address] = device;
+    return device;
+  };
+  I2C.prototype.getDevice = function(address) {
+    if (typeof address=="object") address = address.address;
+    var device = this.devices[address];
+    if (!device) throw new Error("I2C Error: No ACK from "+address);
+    return device;
+  };
+  I2C.prototype.writeTo = function(address) {
+    var bytes = toBytes(Array.prototype.slice.call(arguments, 1));
+    var device = this.getDevice(address);
+    this.log.push({ address : address, write : bytes });
+    if (device.write) device.write(bytes);
+  };
+  I2C.prototype.readFrom = function(address, quantity) {
+    var device = this.getDevice(address);
+    var bytes = device.read ? toBytes(device.read(quantity)) : [];
+    while (bytes.length<quantity) bytes.push(0);
+    this.log.push({ address : address, read : bytes });
+    return new CtxUint8Array(bytes.slice(0, quantity));
+  };
+
+  // ------------------------------------ SPI
+  function SPI(name) {
+    this.name = name;
+    this.devices = {};
+    this.log = []; // { cs, send : [bytes], receive : [bytes] }
+  }
+  addEvents(SPI.prototype);
+  SPI.prototype.setup = function(opts) { this.options = opts; };
+  /** Add a device (an object with a transfer(bytes) function that returns the
+   bytes received) that is selected with the pin 'cs' (or undefined for none) */
+  SPI.prototype.addDevice = function(cs, device) {
+    this.devices[cs ? getPin(cs).name : ""] = device;
+    return device;
+  };
+  SPI.prototype.send = function(data, cs) {
+    var bytes = toBytes(data);
+    var device = this.devices[cs ? getPin(cs).name : ""];
+    if (cs) digitalWrite(cs, 0);
+    var received = (device && device.transfer) ? toBytes(device.transfer(bytes)) : [];
+    while (received.length<bytes.length) received.push(0);
+    received = received.slice(0, bytes.length);
+    if (cs) digitalWrite(cs, 1);
+    this.log.push({ cs : cs ? getPin(cs).name : undefined, send : bytes, receive : received });
+    if (typeof data=="number") return received[0];
+    if (typeof data=="string") return bytesToString(received);
+    return new CtxUint8Array(received);
+  };
+  SPI.prototype.write = function() {
+    var args = Array.prototype.slice.call(arguments);
+    var cs;
+    if (args.length>1 && args[args.length-1] instanceof Pin) cs = args.pop();
+    this.send(toBytes(args), cs);
+  };
+
+  // ------------------------------------ Serial
+  function Serial(name) {
+    this.name = name;
+    this.output = "";
+  }
+  addEvents(Serial.prototype);
+  Serial.prototype.setup = function(baud, opts) {
+    this.baudRate = baud;
+    this.options = opts;
+  };
+  Serial.prototype.write = function() {
+    this.output += bytesToString(toBytes(Array.prototype.slice.call(arguments)));
+  };
+  Serial.prototype.print = function(s) { this.output += String(s); };
+  Serial.prototype.println = function(s) { this.output += String(s)+"\r\n"; };
+  Serial.prototype.pipe = function(dest) {
+    this.on("data", function(d) { dest.write(d); });
+  };
+  /** Receive data, as if it came from outside. This emits 'data' events
+   of at most 'chunkSize' characters (default is all at once) */
+  Serial.prototype.inject = function(data, chunkSize) {
+    data = String(data);
+    chunkSize = chunkSize || data.length;
+    for (var i=0;i<data.length;i+=chunkSize)
+      this.emit("data", data.substr(i, chunkSize));
+  };
+  /** Return everything written so far, and clear it */
+  Serial.prototype.takeOutput = function() {
+    var output = this.output;
+    this.output = "";
+    return output;
+  };
+
+  // ------------------------------------ E
+  var E = {
+    clip : function(x, min, max) { return x<min ? min : (x>max ? max : x); },
+    sum : function(arr) {
+      var s = 0;
+      for (var i=0;i<arr.length;i++) s += arr[i];
+      return s;
+    },
+    variance : function(arr, mean) {
+      var s = 0;
+      for (var i=0;i<arr.length;i++) s += (arr[i]-mean)*(arr[i]-mean);
+      return s/arr.length;
+    },
+    toString : function() { return bytesToString(toBytes(Array.prototype.slice.call(arguments))); },
+    toUint8Array : function() { return new CtxUint8Array(toBytes(Array.prototype.slice.call(arguments))); },
+    toArrayBuffer : function(str) { return new CtxUint8Array(toBytes([str])).buffer; },
+    CRC32 : function(data) {
+      var bytes = toBytes([data]), crc = -1;
+      for (var i=0;i<bytes.length;i++) {
+        crc ^= bytes[i];
+        for (var b=0;b<8;b++) crc = (crc>>>1) ^ (0xEDB88320 & -(crc&1));
+      }
+      return (~crc)>>>0;
+    },
+    getTemperature : function() { return env.temperature; },
+    hwRand : function() { return (Math.random()*0x100000000)|0; }
+  };
+  addEvents(E);
+
+  // ------------------------------------ Modules
+  /** Add a module that can be require()d, eg. a fake 'net' */
+  env.addModule = function(name, exports) {
+    modules[name] = exports;
+  };
+  function findModule(name) {
+    for (var i in MODULE_DIRS) {
+      var file = path.resolve(BASEDIR, MODULE_DIRS[i], name+".js");
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  /** Load a module's source into this environment. As in Espruino, modules
+   can set 'exports = ...' as well as 'module.exports = ...' */
+  env.loadModule = function(name, source) {
+    var module = { exports : {} };
+    var fn = vm.runInContext("(function (exports, module, __exports) {"+source+
+                             "\n;return (module.exports!==__exports) ? module.exports : exports;\n})",
+                             env.context, { filename : name+".js" });
+    modules[name] = fn.call(undefined, module.exports, module, module.exports);
+    return modules[name];
+  };
+  env.require = function(name) {
+    if (name in modules) return modules[name];
+    var file = findModule(name);
+    if (!file) throw new Error("Module "+name+" not found");
+    return env.loadModule(name, fs.readFileSync(file).toString());
+  };
+
+  // ------------------------------------ Globals
+  var globals = {
+    console : { log : log },
+    print : log,
+    getTime : getTime,
+    setTimeout : function(fn, ms) { return addTimer(fn, ms, Array.prototype.slice.call(arguments, 2)); },
+    setInterval : function(fn, ms) { return addTimer(fn, ms, Array.prototype.slice.call(arguments, 2), true); },
+    clearTimeout : function(id) {
+      if (id===undefined) timers = [];
+      else removeTimer(id);
+    },
+    changeInterval : function(id, ms) {
+      timers.forEach(function(t) {
+        if (t.id==id) {
+          t.interval = Math.max(ms|0,1);
+          t.time = now + t.interval;
+        }
+      });
+    },
+    digitalWrite : digitalWrite,
+    digitalRead : digitalRead,
+    digitalPulse : digitalPulse,
+    pinMode : pinMode,
+    getPinMode : function(pin) { return getPin(pin).pinMode; },
+    analogRead : analogRead,
+    analogWrite : analogWrite,
+    setWatch : setWatch,
+    clearWatch : clearWatch,
+    Pin : Pin,
+    I2C : I2C,
+    SPI : SPI,
+    Serial : Serial,
+    E : E,
+    require : env.require,
+    Modules : { addCached : function(name, source) { env.loadModule(name, String(source)); } },
+    atob : function(s) { return Buffer.from(s, "base64").toString("binary"); },
+    btoa : function(s) { return Buffer.from(s, "binary").toString("base64"); },
+    process : { env : { VERSION : "shim", BOARD : "LINUX" }, memory : function() { return { free : 1000, usage : 0, total : 1000 }; } }
+  };
+  globals.clearInterval = globals.clearTimeout;
+  ["I2C1","I2C2","I2C3"].forEach(function(n) { globals[n] = new I2C(n); });
+  ["SPI1","SPI2","SPI3"].forEach(function(n) { globals[n] = new SPI(n); });
+  ["Serial1","Serial2","Serial3","Serial4","USB","Bluetooth"].forEach(function(n) { globals[n] = new Serial(n); });
+  for (var p in pins) globals[p] = pins[p];
+
+  env.context = vm.createContext(globals);
+  env.context.global = env.context;
+  CtxUint8Array = vm.runInContext("Uint8Array", env.context);
+  // Like Espruino, make every object in the module's context an event emitter
+  addEvents(vm.runInContext("Object.prototype", env.context));
+  // Espruino's extra Math functions
+  var ctxMath = vm.runInContext("Math", env.context);
+  ctxMath.clip = E.clip;
+  ctxMath.wrap = function(x, max) { return ((x%max)+max)%max; };
+
+  // make globals (eg. env.I2C1, env.B3, env.E) available from the environment
+  for (var g in globals)
+    if (!(g in env)) env[g] = globals[g];
+  env.createRegisterDevice = createRegisterDevice;
+  return env;
+};
+
+exports.createRegisterDevice = createRegisterDevice;
+exports.toBytes = toBytes;
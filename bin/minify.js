@@ -1,4 +1,3 @@
-var http = require("http");
 var fs = require("fs");
 
 if (process.argv.length!=4 && process.argv.length!=5) {
@@ -27,77 +26,50 @@ if (!advancedOptimisation) {
   js = wrapSelfInvocation( js );
 }
 
-// Now send to closure compiler
-
-// Couldn't use querystring library because of the multiple existence of 'output_info'.
-var post_data = encodeURIComponent( 'compilation_level' ) + '=' + encodeURIComponent( advancedOptimisation ? 'ADVANCED_OPTIMIZATIONS' : 'SIMPLE_OPTIMIZATIONS' )
-    + '&output_format=json'
-    + '&output_info=compiled_code'
-    + '&output_info=errors'
-    + '&output_info=warnings'
-    + '&warning_level=VERBOSE'
-    //+ '&language=ECMASCRIPT5_STRICT'
-    + '&js_code=' + encodeURIComponent( js )
-    + '&js_externs=' + encodeURIComponent( jsExterns );
-
-  //console.log(js);
-
-var post_options = {
-  host: 'closure-compiler.appspot.com',
-  port: '80',
-  path: '/compile',
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/x-www-form-urlencoded',
-    'Content-Length': Buffer.byteLength(post_data) // post_data.length is not always corrrect
-  }
-};
-var jsonResponseData = "";
-console.log('Sending to Google Closure Compiler ('+(advancedOptimisation ? 'advanced' : 'simple')+')...');
-// Set up the request
-var post_req = http.request(post_options, function(res) {
-  res.setEncoding('utf8');
-  res.on('data', function (chunk) {
-    jsonResponseData += chunk;
-  });
-  res.on('end', function () {
-
-    var jsonResult = JSON.parse( jsonResponseData );
-
-    if (jsonResult.serverErrors) {
-      jsonResult.serverErrors.forEach( function (error) {
-        console.error( "  Servererror " + error.code + ": " + error.error );
-      });
-      process.exit(3);
-    }
-
-    if (jsonResult.errors) {
-      jsonResult.errors.forEach( function (error) {
-        console.error( "  Error " + error.type + ": (" + error.lineno + "," + error.charno + ") "
-            + error.error + ": '" + error.line + "'");
-      });
-      process.exit(2);
-    }
-
-    if (jsonResult.warnings) {
-      jsonResult.warnings.forEach( function (warning) {
-        // ignore certain warnings
-        if (warning.type !== 'JSC_NOT_A_CONSTRUCTOR') {
-          console.warn( "  Warning " + warning.type + ": (" + warning.lineno + "," + warning.charno + ") "
-              + warning.warning + ": '" + warning.line + "'");
-        }
-      });
-    }
-
-    var minified = jsonResult.compiledCode + '\n';
-
-    console.log('Minification complete! ' );
-    codeMinified( minified );
+// Now run the JavaScript build of Closure Compiler locally
+
+var compile = require("google-closure-compiler-js").compile;
+var jsLines = js.split("\n");
+
+console.log('Running Closure Compiler ('+(advancedOptimisation ? 'advanced' : 'simple')+')...');
+var jsonResult = compile({
+  compilationLevel : advancedOptimisation ? 'ADVANCED' : 'SIMPLE',
+  // VERBOSE makes undeclared globals (require, getTime, etc) errors rather
+  // than the warnings the online compiler gave, so stick with DEFAULT
+  warningLevel : 'DEFAULT',
+  // Accept binary literals/etc, but output ES5 without any $jscomp polyfills
+  languageIn : 'ECMASCRIPT6',
+  rewritePolyfills : false,
+  languageOut : 'ECMASCRIPT5',
+  jsCode : [{ src : js }],
+  externs : [{ src : jsExterns.toString() }]
+});
+
+// Get the line of code an error refers to, so we can report it like the online compiler did
+function getLine(msg) {
+  if (msg.file && msg.file.indexOf("Input_")!=0) return "";
+  return jsLines[msg.lineNo-1] || "";
+}
+
+if (jsonResult.errors.length) {
+  jsonResult.errors.forEach( function (error) {
+    console.error( "  Error " + error.type + ": (" + error.lineNo + "," + error.charNo + ") "
+        + error.description + ": '" + getLine(error) + "'");
   });
+  process.exit(2);
+}
+
+jsonResult.warnings.forEach( function (warning) {
+  // ignore certain warnings, and anything that is about the externs rather than the module
+  if (warning.type !== 'JSC_NOT_A_CONSTRUCTOR' &&
+      !(warning.file && warning.file.indexOf("Extern_")==0)) {
+    console.warn( "  Warning " + warning.type + ": (" + warning.lineNo + "," + warning.charNo + ") "
+        + warning.description + ": '" + getLine(warning) + "'");
+  }
 });
-// post the data
-post_req.write(post_data);
-post_req.end();
+
+console.log('Minification complete! ' );
+codeMinified( jsonResult.compiledCode + '\n' );
 
 
 function codeMinified(minified) {
@@ -125,12 +97,3 @@ function unwrapSelfInvocation( wrappedJs ) {
     process.exit(1);
   }
 }
-/*
-
-    cat module_wrapped.js | curl -s \
-       -d compilation_level=SIMPLE_OPTIMIZATIONS \
-       -d output_format=text \
-       -d output_info=compiled_code \
-       --data-urlencode "js_code@/dev/fd/0" \
-       http://closure-compiler.appspot.com/compile > module_minified.js
-    sed -n ':a;N;$!ba;s/^(function(){\(.*\)})();$/\1/p' module_minified.js > $MODULEDIR/$MINJS*/
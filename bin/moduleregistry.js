@@ -0,0 +1,143 @@
+// Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission.
+/* Creates modules.json, a list of all the modules in devices/, modules/
+ and boards/ so the Web IDE and other tools can find out what's available.
+ The API of each module is also written to api/ModuleName.json in the same
+ directory as modules.json.
+
+ USAGE: node bin/moduleregistry.js modules.json [minifiedModuleDir]
+
+ If minifiedModuleDir is given (it's where buildmodules.sh puts the
+ '.min.js' files) then the minified size of each module is added too.
+
+ Each entry looks like:
+
+ "DS18B20" : {
+   "path" : "devices/DS18B20.js",
+   "requires" : [ ... ],            // modules that are require()d directly
+   "allRequires" : [ ... ],         // ... and any modules they require
+   "size" : 1234,                   // bytes
+   "minifiedSize" : 567,            // bytes, or null if not known
+   "docs" : "devices/DS18B20.md",   // documentation page, or null
+   "url" : "/DS18B20",              // URL of the documentation page, or null
+   "keywords" : [ ... ],            // KEYWORDS from the documentation page
+   "api" : [ ... ]                  // from common.getJSDocumentationInfo
+ }
+*/
+
+var fs = require('fs');
+var path = require('path');
+if (fs.existsSync==undefined) fs.existsSync = path.existsSync;
+var common = require("./common.js");
+
+var BASEDIR = path.resolve(__dirname, "..");
+
+if (process.argv.length!=3 && process.argv.length!=4) {
+  console.log("USAGE: node bin/moduleregistry.js modules.json [minifiedModuleDir]");
+  process.exit(1);
+}
+var outputFile = process.argv[2];
+var minifiedDir = process.argv[3];
+var apiDir = path.resolve(path.dirname(outputFile), "api");
+if (!fs.existsSync(apiDir)) fs.mkdirSync(apiDir);
+
+function WARNING(s) {
+  console.log("WARNING: "+s);
+}
+
+function getModuleName(file) {
+  var name = file.substring(file.lastIndexOf("/")+1);
+  return name.substring(0,name.lastIndexOf("."));
+}
+
+// Find all the modules
+var moduleFiles = {};
+["devices","modules","boards"].forEach(function(dir) {
+  common.getFiles(path.resolve(BASEDIR,dir)).forEach(function(file) {
+    if (file.substr(-3)==".js")
+      moduleFiles[getModuleName(file)] = path.relative(BASEDIR, file);
+  });
+});
+
+// Find the documentation for each module - either a '.md' file with the
+// same name, a file that uses APPEND_JSDOC on it, or failing that the
+// first file that links to it with [[Module.js]]
+var moduleDocs = {};
+var moduleLinks = {};
+var docKeywords = {};
+common.getMarkdown(BASEDIR).forEach(function(file) {
+  var contents = fs.readFileSync(file).toString();
+  file = path.relative(BASEDIR, file);
+  var match = contents.match(/\n\* KEYWORDS: (.*)/);
+  docKeywords[file] = match ? match[1].split(",").map(function(k) { return k.trim(); }) : [];
+
+  var name = getModuleName(file);
+  if (name in moduleFiles && path.dirname(moduleFiles[name])==path.dirname(file))
+    moduleDocs[name] = file;
+  var regex = /\n\s*\* APPEND_JSDOC: (.*)/g;
+  while ((match = regex.exec(contents)) != null) {
+    var jsFile = path.join(path.dirname(file), match[1].trim());
+    for (var module in moduleFiles)
+      if (moduleFiles[module]==jsFile && !(module in moduleDocs))
+        moduleDocs[module] = file;
+  }
+  regex = /\[\[([a-zA-Z0-9_\- ]+)\.js\]\]/g;
+  while ((match = regex.exec(contents)) != null)
+    if (!(match[1] in moduleLinks)) moduleLinks[match[1]] = file;
+});
+for (var module in moduleLinks)
+  if (module in moduleFiles && !(module in moduleDocs))
+    moduleDocs[module] = moduleLinks[module];
+
+var registry = {};
+Object.keys(moduleFiles).sort().forEach(function(name) {
+  var file = moduleFiles[name];
+  console.log("Module "+name);
+  var js = fs.readFileSync(path.resolve(BASEDIR, file)).toString();
+  var api = [];
+  try {
+    api = common.getJSDocumentationInfo(js);
+  } catch (e) {
+    WARNING(file+": Unable to get documentation, "+e);
+  }
+  var minifiedSize = null;
+  if (minifiedDir) {
+    var minFile = path.resolve(minifiedDir, name+".min.js");
+    if (fs.existsSync(minFile)) minifiedSize = fs.statSync(minFile).size;
+    else WARNING(file+": No minified file "+minFile);
+  }
+  var docs = moduleDocs[name] || null;
+  registry[name] = {
+    path : file,
+    requires : common.getModuleRequires(js),
+    allRequires : [],
+    size : Buffer.byteLength(js),
+    minifiedSize : minifiedSize,
+    docs : docs,
+    url : docs ? "/"+getModuleName(docs).replace(/ /g,"+") : null,
+    keywords : docs ? docKeywords[docs] : [],
+    api : api
+  };
+  fs.writeFileSync(path.resolve(apiDir, name+".json"), JSON.stringify(api,null,1));
+});
+
+// Now work out all the modules each one depends on
+function addRequires(list, name) {
+  if (!(name in registry)) return; // built-in or missing
+  registry[name].requires.forEach(function(req) {
+    if (list.indexOf(req)>=0) return;
+    list.push(req);
+    addRequires(list, req);
+  });
+}
+for (var name in registry) {
+  addRequires(registry[name].allRequires, name);
+  // a module that (indirectly) requires itself shouldn't list itself
+  registry[name].allRequires = registry[name].allRequires.filter(function(req) { return req!=name; });
+  registry[name].requires.forEach(function(req) {
+    if (!(req in registry) && common.BUILTIN_MODULES.indexOf(req)<0)
+      WARNING(registry[name].path+": requires unknown module '"+req+"'");
+  });
+}
+
+console.log("Writing "+Object.keys(registry).length+" modules to "+outputFile);
+fs.writeFileSync(outputFile, JSON.stringify(registry,null,1));
@@ -0,0 +1,80 @@
+// Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission.
+/* Browser-side full-text search, using the searchindex.js created by
+ build.js (see searchindex.js). build.js copies this to html/search.js.
+
+ <script src="searchindex.js"></script>
+ <script src="search.js"></script>
+ ...
+ searchPages("setWatch debounce").forEach(function(result) {
+   // result = { title, file, score, snippet }
+ });
+
+ Every word in the query must appear in the page, and the last word
+ may be a prefix, so it can be used to search as you type. 'snippet' is
+ HTML, with the matching words in <b> tags.
+*/
+
+function searchPages(query, maxResults, index) {
+  index = index || searchIndex;
+  maxResults = maxResults || 20;
+  var terms = query.toLowerCase().match(/[a-z0-9_$]+/g) || [];
+  if (!terms.length) return [];
+  var pageCount = index.pages.length;
+  var pages = {}; // pageIdx -> { score, terms, chunk, chunkWeight }
+  var matchedWords = [];
+
+  terms.forEach(function(term, termIdx) {
+    var words = [];
+    if (Object.prototype.hasOwnProperty.call(index.words, term)) words.push(term);
+    if (termIdx == terms.length-1) // last term may be incomplete
+      for (var word in index.words)
+        if (word!=term && word.substr(0,term.length)==term)
+          words.push(word);
+    var termPages = {};
+    words.forEach(function(word) {
+      matchedWords.push(word);
+      var postings = index.words[word];
+      var idf = Math.log(1 + pageCount*3/postings.length);
+      for (var i=0;i<postings.length;i+=3) {
+        var pageIdx = postings[i];
+        var weight = postings[i+1]*idf;
+        // prefix matches count for less than exact ones
+        if (word!=term) weight /= 2;
+        var page = pages[pageIdx];
+        if (!page) page = pages[pageIdx] = { score : 0, terms : 0, chunk : postings[i+2], chunkWeight : 0 };
+        page.score += weight;
+        if (weight > page.chunkWeight) {
+          page.chunk = postings[i+2];
+          page.chunkWeight = weight;
+        }
+        if (!termPages[pageIdx]) {
+          termPages[pageIdx] = true;
+          page.terms++;
+        }
+      }
+    });
+  });
+
+  var results = [];
+  for (var pageIdx in pages) {
+    var page = pages[pageIdx];
+    if (page.terms < terms.length) continue;
+    results.push({
+      title : index.pages[pageIdx][0],
+      file : index.pages[pageIdx][1],
+      score : page.score,
+      snippet : highlightSnippet(index.chunks[pageIdx][page.chunk], matchedWords)
+    });
+  }
+  results.sort(function(a,b) { return b.score - a.score; });
+  return results.slice(0, maxResults);
+}
+
+function highlightSnippet(text, words) {
+  return text.replace(/[a-zA-Z0-9_$]+|[^a-zA-Z0-9_$]+/g, function(s) {
+    s = s.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
+    return (words.indexOf(s.toLowerCase())>=0) ? "<b>"+s+"</b>" : s;
+  });
+}
+
+if (typeof module !== "undefined") module.exports = searchPages;
@@ -0,0 +1,115 @@
+// Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission.
+/* Creates a full-text search index from the rendered HTML pages. This is
+ used by build.js to create searchindex.js, which is searched in the
+ browser by search.js.
+
+ The index looks like:
+
+ {
+   pages : [ [title, file], ... ],
+   chunks : [ [ "text", "text", ... ], ... ], // per page, used for snippets
+   words : { word : [ pageIdx, score, chunkIdx, pageIdx, score, chunkIdx, ... ] }
+ }
+
+ 'score' is the number of times the word appears in the page, with extra
+ weight if it's in the title. The chunk is one containing the word. Only
+ chunks that words point to are stored, and they're picked so that as few as
+ possible are needed - the one with the most words first, and so on.
+*/
+
+// Don't index words that are in pretty much every page
+var STOP_WORDS = ("a,an,and,are,as,at,be,but,by,for,if,in,into,is,it,no,not,of,on,or,"+
+                  "so,such,that,the,their,then,there,these,they,this,to,was,will,with,"+
+                  "you,your,can,we,has,have").split(",");
+var TITLE_WEIGHT = 10;
+var MAX_CHUNK_LENGTH = 100;
+
+/** Turn HTML from build.js into plain text (including code blocks), one line per block */
+exports.getPageText = function(html) {
+  // remove the 'auto-generated from GitHub' footer
+  var footer = html.lastIndexOf('<p style="text-align:right;');
+  if (footer>=0) html = html.substr(0, footer);
+  return html.
+    replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ").
+    replace(/<(br|\/p|\/li|\/h[1-6]|\/tr|\/pre|\/div)[^>]*>/gi, "\n").
+    replace(/<[^>]*>/g, " ").
+    replace(/&lt;/g, "<").
+    replace(/&gt;/g, ">").
+    replace(/&quot;/g, '"').
+    replace(/&#39;/g, "'").
+    replace(/&nbsp;/g, " ").
+    replace(/&amp;/g, "&");
+};
+
+/** Split text into lowercase words for the index. search.js does the same to queries */
+exports.getWords = function(text) {
+  return text.toLowerCase().match(/[a-z0-9_$]+/g) || [];
+};
+
+// Split text into short chunks (on line and then word boundaries) for snippets
+function getChunks(text) {
+  var chunks = [];
+  text.split("\n").forEach(function(line) {
+    line = line.replace(/\s+/g, " ").trim();
+    while (line.length > MAX_CHUNK_LENGTH) {
+      var split = line.lastIndexOf(" ", MAX_CHUNK_LENGTH);
+      if (split<=0) split = MAX_CHUNK_LENGTH;
+      chunks.push(line.substr(0, split));
+      line = line.substr(split).trim();
+    }
+    if (line.length) chunks.push(line);
+  });
+  return chunks;
+}
+
+/** Given a list of { title, file, html } for each page, create the search index */
+exports.createSearchIndex = function(pages) {
+  var index = { pages : [], chunks : [], words : Object.create(null) };
+  pages.forEach(function(page, pageIdx) {
+    index.pages.push([page.title, page.file]);
+    var chunks = getChunks(exports.getPageText(page.html));
+    var found = Object.create(null); // word -> score
+    var chunkWords = chunks.map(function(chunk) {
+      var words = [];
+      exports.getWords(chunk).forEach(function(word) {
+        if (word.length<2 || STOP_WORDS.indexOf(word)>=0) return;
+        if (found[word]) found[word]++;
+        else found[word] = 1;
+        if (words.indexOf(word)<0) words.push(word);
+      });
+      return words;
+    });
+    exports.getWords(page.title).forEach(function(word) {
+      if (found[word]) found[word] += TITLE_WEIGHT;
+    });
+    // keep the chunk with the most words that aren't in a kept chunk yet,
+    // until every word is in one
+    var wordChunks = Object.create(null); // word -> [chunkIdx, ...]
+    var counts = chunkWords.map(function(words, chunkIdx) {
+      words.forEach(function(word) {
+        if (!wordChunks[word]) wordChunks[word] = [];
+        wordChunks[word].push(chunkIdx);
+      });
+      return words.length;
+    });
+    var wordChunk = Object.create(null), kept = [];
+    while (true) {
+      var best = 0;
+      counts.forEach(function(count, chunkIdx) { if (count > counts[best]) best = chunkIdx; });
+      if (!counts[best]) break;
+      kept.push(best);
+      chunkWords[best].forEach(function(word) {
+        if (word in wordChunk) return;
+        wordChunk[word] = best;
+        wordChunks[word].forEach(function(chunkIdx) { counts[chunkIdx]--; });
+      });
+    }
+    kept.sort(function(a, b) { return a - b; });
+    index.chunks.push(kept.map(function(chunkIdx) { return chunks[chunkIdx]; }));
+    for (var word in found) {
+      if (!index.words[word]) index.words[word] = [];
+      index.words[word].push(pageIdx, found[word], kept.indexOf(wordChunk[word]));
+    }
+  });
+  return index;
+};
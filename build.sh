@@ -58,6 +58,8 @@ nodejs bin/build.js || exit 1
 #rm $WEBSITE/reference/*
 cp html/*.html $WEBSITE/reference/
 cp html/keywords.js $WEBSITE/www/js
+cp html/searchindex.js html/search.js $WEBSITE/www/js
+cp html/highlight.css $WEBSITE/www/css
 cp datasheets/* $WEBSITE/www/datasheets
 cp files/* $WEBSITE/www/files
 mkdir -p $WEBSITE/www/refimages
@@ -48,3 +48,6 @@ for module in $MODULES; do
   fi
  fi
 done
+
+# List all modules, their dependencies, sizes and documentation for the Web IDE
+nodejs bin/moduleregistry.js $MODULEDIR/modules.json $MODULEDIR || exit 1
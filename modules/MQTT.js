@@ -5,7 +5,6 @@ Simple MQTT protocol wrapper for Espruino sockets.
 
 /** 'private' costants */
 var C = {
-  PACKET_ID      : 1, // Bad...fixed packet id
   PROTOCOL_LEVEL : 4,  // MQTT protocol level
   DEF_PORT        : 1883, // MQTT default server port
   DEF_KEEP_ALIVE  : 60,   // Default keep_alive (s)
@@ -42,6 +41,42 @@ var RETURN_CODES = {
   NOT_AUTHORIZED                : 5
 };
 
+/**
+ MQTT 5 properties - name : [ identifier, type ]. Types are b=byte,
+ w=two byte integer, i=four byte integer, v=variable length integer,
+ s=string (or binary data), p=string pair
+ https://docs.oasis-open.org/mqtt/mqtt/v5.0/os/mqtt-v5.0-os.html#_Toc3901027
+ **/
+var PROPERTIES = {
+  payloadFormatIndicator           : [0x01, "b"],
+  messageExpiryInterval            : [0x02, "i"],
+  contentType                      : [0x03, "s"],
+  responseTopic                    : [0x08, "s"],
+  correlationData                  : [0x09, "s"],
+  subscriptionIdentifier           : [0x0B, "v"],
+  sessionExpiryInterval            : [0x11, "i"],
+  assignedClientIdentifier         : [0x12, "s"],
+  serverKeepAlive                  : [0x13, "w"],
+  authenticationMethod             : [0x15, "s"],
+  authenticationData               : [0x16, "s"],
+  requestProblemInformation        : [0x17, "b"],
+  willDelayInterval                : [0x18, "i"],
+  requestResponseInformation       : [0x19, "b"],
+  responseInformation              : [0x1A, "s"],
+  serverReference                  : [0x1C, "s"],
+  reasonString                     : [0x1F, "s"],
+  receiveMaximum                   : [0x21, "w"],
+  topicAliasMaximum                : [0x22, "w"],
+  topicAlias                       : [0x23, "w"],
+  maximumQoS                       : [0x24, "b"],
+  retainAvailable                  : [0x25, "b"],
+  userProperties                   : [0x26, "p"],
+  maximumPacketSize                : [0x27, "i"],
+  wildcardSubscriptionAvailable    : [0x28, "b"],
+  subscriptionIdentifiersAvailable : [0x29, "b"],
+  sharedSubscriptionAvailable      : [0x2A, "b"]
+};
+
 /** MQTT constructor */
 function MQTT(server, options) {
   this.server = server;
@@ -49,22 +84,47 @@ function MQTT(server, options) {
   this.port = options.port || C.DEF_PORT;
   this.client_id = options.client_id || mqttUid();
   this.keep_alive = options.keep_alive || C.DEF_KEEP_ALIVE;
-  this.clean_session = options.clean_session || true;
+  this.clean_session = options.clean_session!==undefined ? options.clean_session : true;
   this.username = options.username;
   this.password = options.password;
+  this.will_topic = options.will_topic;
+  this.will_message = options.will_message || "";
+  this.will_qos = options.will_qos || 0;
+  this.will_retain = options.will_retain;
   this.client = false;
   this.connected = false;
   this.ping_interval =
     this.keep_alive < this.C.PING_INTERVAL ? (this.keep_alive - 5) : this.C.PING_INTERVAL;
   this.protocol_name = options.protocol_name || "MQTT";
   this.protocol_level = createEscapedHex( options.protocol_level || C.PROTOCOL_LEVEL );
+  // MQTT 5
+  this.v5 = options.protocol_level == 5;
+  this.properties = options.properties; // for CONNECT, eg. { sessionExpiryInterval: 3600 }
+  this.will_properties = options.will_properties;
+  this.server_properties = {}; // from CONNACK
+  this.topic_aliases = {}; // alias -> topic for messages we receive
+  this.sent_aliases = {}; // alias -> topic for messages we send
+  this.packet_id = 0;
+  this.inflight = {}; // packets we sent that haven't been acknowledged, by packet id
+  this.received = {}; // ids of QoS 2 messages we received that haven't been released
+  this.subscriptions = {}; // topic -> qos, so we can subscribe again after reconnecting
+  this.routes = []; // { filter, handler } - see MQTT.prototype.route
+  // Reconnect automatically (reconnectPeriod is what MQTT.js in node.js uses)
+  this.reconnect = options.reconnect || options.reconnectPeriod > 0;
+  this.reconnect_period = options.reconnect_period || options.reconnectPeriod || 1000;
+  this.reconnect_max_period = options.reconnect_max_period || 60000;
+  this.reconnect_attempts = 0;
+  this.queue = []; // publishes made while offline, as [ topic, message, opts, callback ]
+  this.queue_size = options.queue_size || 10;
 }
 
 /** 'public' constants here */
 MQTT.prototype.C = {
   DEF_QOS         : 0,    // Default QOS level
   CONNECT_TIMEOUT : 5000, // Time (s) to wait for CONNACK
-  PING_INTERVAL   : 40    // Server ping interval (s)
+  PING_INTERVAL   : 40,   // Server ping interval (s)
+  RETRY_INTERVAL  : 10,   // Time (s) to wait for an acknowledgement before resending
+  MAX_RETRIES     : 5     // Number of times to resend before giving up
 };
 
 /* Utility functions ***************************/
@@ -96,22 +156,175 @@ function mqttPacket(cmd, variable, payload) {
   return fromCharCode(cmd) + mqttPacketLength(variable.length+payload.length) + variable + payload;
 }
 
-/** PUBLISH packet parser - returns object with topic and message */
-function parsePublish(data) {
-  if (data.length>=4 && typeof data!="undefined") {
-    var cmd = data.charCodeAt(0);
-    var rem_len = data.charCodeAt(1);
-    var var_len = data.charCodeAt(2) << 8 | data.charCodeAt(3);
-    return { topic: data.substr(4, var_len),
-             message: data.substr(4+var_len, rem_len-var_len),
-             dup: (cmd & 0b00001000) >> 3,
-             qos: (cmd & 0b00000110) >> 1,
-             retain: cmd & 0b00000001
-           };
+/** Packet identifier (MSB, LSB) */
+function mqttPid(pid) {
+  return fromCharCode(pid>>8, pid&255);
+}
+
+/** Decode a variable length integer (like the packet length) at data[i].
+ Returns [value, index after it], or undefined if data ends first */
+function parseVarInt(data, i) {
+  var value = 0, mult = 1, start = i, c;
+  do {
+    if (i-start >= 4) throw "length is too long";
+    if (i >= data.length) return undefined;
+    c = data.charCodeAt(i++);
+    value += (c & 127) * mult;
+    mult *= 128;
+  } while (c & 128);
+  return [value, i];
+}
+
+/** Find the first packet in data. Returns { cmd, data, length } where data
+ is everything after the fixed header, and length is the total size of the
+ packet. Returns undefined if we don't have all of it yet, and throws an
+ error if the remaining length is invalid */
+function parsePacket(data) {
+  var len = parseVarInt(data, 1);
+  if (len===undefined || data.length < len[1]+len[0]) return undefined;
+  return { cmd: data.charCodeAt(0),
+           data: data.substr(len[1], len[0]),
+           length: len[1]+len[0]
+         };
+}
+
+/** MQTT 5 properties, from an object like { contentType: "text/plain",
+ userProperties: { key: "value" } } */
+function mqttProperties(props) {
+  var data = "";
+  for (var name in props) {
+    var prop = PROPERTIES[name];
+    if (!prop) throw new Error("Unknown MQTT property "+name);
+    var id = fromCharCode(prop[0]);
+    var type = prop[1];
+    // properties that appear more than once can be given as arrays
+    [].concat(type==="p" ? Object.keys(props[name]) : props[name]).forEach(function(v) {
+      if (type==="b") data += id+fromCharCode(v);
+      else if (type==="w") data += id+fromCharCode(v>>8, v&255);
+      else if (type==="i") data += id+fromCharCode((v>>24)&255, (v>>16)&255, (v>>8)&255, v&255);
+      else if (type==="v") data += id+mqttPacketLength(v);
+      else if (type==="s") data += id+mqttStr(String(v));
+      else [].concat(props[name][v]).forEach(function(pv) {
+        data += id+mqttStr(v)+mqttStr(String(pv));
+      });
+    });
   }
-  else {
-    return undefined;
+  return mqttPacketLength(data.length) + data;
+}
+
+/** Parse MQTT 5 properties starting at data[i]. Returns [properties, index after them] */
+function parseProperties(data, i) {
+  var props = {};
+  var len;
+  try {
+    len = parseVarInt(data, i);
+  } catch (e) { }
+  if (len===undefined) return [props, data.length];
+  var end = len[1]+len[0];
+  i = len[1];
+  while (i < end) {
+    var id = data.charCodeAt(i++);
+    var name = undefined;
+    for (var n in PROPERTIES) if (PROPERTIES[n][0]===id) name = n;
+    if (!name) break; // we can't tell how long it is, so give up
+    var type = PROPERTIES[name][1], v, l;
+    if (type==="b") v = data.charCodeAt(i++);
+    else if (type==="w") { v = data.charCodeAt(i)<<8 | data.charCodeAt(i+1); i+=2; }
+    else if (type==="i") {
+      v = data.charCodeAt(i)*0x1000000 + (data.charCodeAt(i+1)<<16 | data.charCodeAt(i+2)<<8 | data.charCodeAt(i+3));
+      i+=4;
+    } else if (type==="v") {
+      l = parseVarInt(data, i) || [0, end];
+      v = l[0];
+      i = l[1];
+    } else {
+      l = data.charCodeAt(i)<<8 | data.charCodeAt(i+1);
+      v = data.substr(i+2, l);
+      i += 2+l;
+      if (type==="p") {
+        l = data.charCodeAt(i)<<8 | data.charCodeAt(i+1);
+        var pv = data.substr(i+2, l);
+        i += 2+l;
+        if (!props.userProperties) props.userProperties = {};
+        var up = props.userProperties;
+        up[v] = (v in up) ? [].concat(up[v], pv) : pv;
+        continue;
+      }
+    }
+    // properties that appear more than once become arrays
+    props[name] = (name in props) ? [].concat(props[name], v) : v;
+  }
+  return [props, end];
+}
+
+/** Parse PUBACK, PUBREC, PUBREL, PUBCOMP, SUBACK or UNSUBACK (after the packet
+ id). Returns { reasonCode, reasonCodes (SUBACK/UNSUBACK only), properties } */
+function parseAck(type, data, v5) {
+  var ack = { reasonCode: 0, properties: {} };
+  var i = 2;
+  if (type === TYPE.SUBACK || type === TYPE.UNSUBACK) {
+    if (v5) {
+      var p = parseProperties(data, i);
+      ack.properties = p[0];
+      i = p[1];
+    }
+    // a return code for each topic
+    ack.reasonCodes = data.substr(i).split("").map(function(c) { return c.charCodeAt(0); });
+  } else if (v5 && data.length > 2) {
+    // MQTT 5 leaves these out if the reason code is 0 and there are no properties
+    ack.reasonCode = data.charCodeAt(2);
+    if (data.length > 3) ack.properties = parseProperties(data, 3)[0];
+  }
+  return ack;
+}
+
+/** PUBLISH packet parser - returns object with topic and message, or
+ undefined if the packet is malformed. data is everything after the fixed header */
+function parsePublish(cmd, data, v5) {
+  var var_len = data.charCodeAt(0) << 8 | data.charCodeAt(1);
+  var qos = (cmd & 0b00000110) >> 1;
+  var msg_start = 2+var_len;
+  var pid;
+  // Packet id is only included for QOS > 0
+  if (qos) {
+    pid = data.charCodeAt(msg_start) << 8 | data.charCodeAt(msg_start+1);
+    msg_start += 2;
+  }
+  var properties;
+  if (v5) {
+    var p = parseProperties(data, msg_start);
+    properties = p[0];
+    msg_start = p[1];
+  }
+  if (data.length<2 || msg_start>data.length || qos===3) return undefined;
+  return { topic: data.substr(2, var_len),
+           message: data.substr(msg_start),
+           dup: (cmd & 0b00001000) >> 3,
+           qos: qos,
+           retain: cmd & 0b00000001,
+           pid: pid,
+           properties: properties
+         };
+}
+
+/** If topic matches the subscription filter, return an array of the parts
+ of it that matched '+' and '#' wildcards. Otherwise return undefined */
+function matchTopic(filter, topic) {
+  var f = filter.split("/");
+  var t = topic.split("/");
+  var params = [];
+  // wildcards at the start don't match '$SYS/...' topics
+  if (topic[0]=="$" && (f[0]=="+" || f[0]=="#")) return undefined;
+  for (var i=0;i<f.length;i++) {
+    if (f[i]=="#") {
+      params.push(t.slice(i).join("/"));
+      return params;
+    }
+    if (i>=t.length) return undefined;
+    if (f[i]=="+") params.push(t[i]);
+    else if (f[i]!=t[i]) return undefined;
   }
+  return (f.length==t.length) ? params : undefined;
 }
 
 /** Generate random UID */
@@ -126,32 +339,38 @@ var mqttUid = (function() {
   };
 })();
 
-/** PUBLISH control packet */
-function mqttPublish(topic, message, qos) {
-  var cmd = TYPE.PUBLISH << 4 | (qos << 1);
-  var pid = fromCharCode(C.PACKET_ID<<8, C.PACKET_ID&255);
+/** PUBLISH control packet. props is from mqttProperties (MQTT 5 only) */
+function mqttPublish(topic, message, qos, pid, retain, props) {
+  var cmd = TYPE.PUBLISH << 4 | (qos << 1) | (retain ? 1 : 0);
   // Packet id must be included for QOS > 0
-  var variable = (qos === 0) ? mqttStr(topic) : mqttStr(topic)+pid;
-  return mqttPacket(cmd, variable, message);
+  var variable = (qos === 0) ? mqttStr(topic) : mqttStr(topic)+mqttPid(pid);
+  return mqttPacket(cmd, variable+(props||""), message);
 }
 
-/** SUBSCRIBE control packet */
-function mqttSubscribe(topic, qos) {
+/** SUBSCRIBE control packet - subs is an array of { topic, qos }, and for
+ MQTT 5 also nl (no local), rap (retain as published) and rh (retain handling) */
+function mqttSubscribe(subs, pid, props) {
   var cmd = TYPE.SUBSCRIBE << 4 | 2;
-  var pid = fromCharCode(C.PACKET_ID<<8, C.PACKET_ID&255);
   return mqttPacket(cmd,
-           pid/*Packet id*/,
-           mqttStr(topic)+
-           fromCharCode(qos)/*QOS*/);
+           mqttPid(pid)/*Packet id*/+(props||""),
+           subs.map(function(sub) {
+             return mqttStr(sub.topic)+
+                    fromCharCode(sub.qos | (sub.nl ? 4 : 0) | (sub.rap ? 8 : 0) | (sub.rh << 4))/*QOS*/;
+           }).join(""));
 }
 
-/** UNSUBSCRIBE control packet */
-function mqttUnsubscribe(topic) {
+/** UNSUBSCRIBE control packet - topics is an array */
+function mqttUnsubscribe(topics, pid, props) {
   var cmd = TYPE.UNSUBSCRIBE << 4 | 2;
-  var pid = fromCharCode(C.PACKET_ID<<8, C.PACKET_ID&255);
   return mqttPacket(cmd,
-           pid/*Packet id*/,
-           mqttStr(topic));
+           mqttPid(pid)/*Packet id*/+(props||""),
+           topics.map(mqttStr).join(""));
+}
+
+/** PUBACK, PUBREC, PUBREL and PUBCOMP control packets */
+function mqttAck(type, pid) {
+  // PUBREL has a fixed header flag set
+  return mqttPacket(type << 4 | (type === TYPE.PUBREL ? 2 : 0), mqttPid(pid), "");
 }
 
 /** Create escaped hex value from number */
@@ -159,6 +378,122 @@ function createEscapedHex( number ){
   return fromCharCode(parseInt( number.toString(16) , 16));
 }
 
+/* QoS 1 and 2 *********************************/
+
+/** Get a packet id (1..65535) that isn't being used by a packet in flight
+ @private */
+MQTT.prototype.newPacketId = function() {
+  do {
+    this.packet_id = (this.packet_id % 65535) + 1;
+  } while (this.inflight[this.packet_id]);
+  return this.packet_id;
+};
+
+/** Send a packet that has to be acknowledged with packet type 'ack'. It's
+ kept until then so it can be resent, and done(err, data) is called at the end
+ @private */
+MQTT.prototype.sendInflight = function(pid, packet, ack, done) {
+  this.inflight[pid] = { packet: packet, ack: ack, time: getTime(), retries: 0, done: done };
+  // if we're not connected, it'll be sent when we are
+  if (this.connected) this.client.write(packet);
+};
+
+/** Got an acknowledgement - return (and forget) the in-flight packet it was for
+ @private */
+MQTT.prototype.acknowledge = function(type, pid) {
+  var msg = this.inflight[pid];
+  if (!msg || msg.ack !== type) return undefined;
+  delete this.inflight[pid];
+  return msg;
+};
+
+/** Resend any packets that haven't been acknowledged in time
+ @private */
+MQTT.prototype.retry = function() {
+  var now = getTime();
+  for (var pid in this.inflight) {
+    var msg = this.inflight[pid];
+    if (now < msg.time + this.C.RETRY_INTERVAL) continue;
+    if (msg.retries >= this.C.MAX_RETRIES) {
+      delete this.inflight[pid];
+      if (msg.done) msg.done("No acknowledgement for packet "+pid);
+      continue;
+    }
+    msg.retries++;
+    this.resend(msg);
+  }
+};
+
+/** Resend an in-flight packet
+ @private */
+MQTT.prototype.resend = function(msg) {
+  // Set the DUP flag on PUBLISH packets that we resend
+  if (msg.packet.charCodeAt(0) >> 4 === TYPE.PUBLISH)
+    msg.packet = fromCharCode(msg.packet.charCodeAt(0) | 0x08) + msg.packet.substr(1);
+  msg.time = getTime();
+  if (this.connected) this.client.write(msg.packet);
+};
+
+/* Reconnection ********************************/
+
+/** Called when the connection has closed (or failed to open). Tidy up,
+ and try to connect again later if 'reconnect' is set
+ @private */
+MQTT.prototype.closed = function(reconnect) {
+  if (this.ctimo) clearTimeout(this.ctimo);
+  this.ctimo = undefined;
+  if (this.pintr) clearInterval(this.pintr);
+  this.pintr = undefined;
+  if (this.rintr) clearInterval(this.rintr);
+  this.rintr = undefined;
+  this.client = false;
+  var wasConnected = this.connected;
+  if (wasConnected) {
+    this.connected = false;
+    console.log('MQTT client disconnected');
+    this.emit('disconnected');
+    this.emit('close');
+  }
+  if (reconnect) {
+    if (wasConnected) this.emit('offline');
+    this.scheduleReconnect();
+  }
+};
+
+/** Try and connect again after a delay that doubles each time it fails
+ @private */
+MQTT.prototype.scheduleReconnect = function() {
+  var mqo = this;
+  var delay = Math.min(this.reconnect_period * Math.pow(2, this.reconnect_attempts++), this.reconnect_max_period);
+  // add some randomness so lots of devices don't all reconnect at the same time
+  delay = delay/2 + Math.random()*delay/2;
+  this.rctimo = setTimeout(function() {
+    mqo.rctimo = undefined;
+    mqo.emit('reconnect');
+    try {
+      mqo.connect();
+    } catch (e) {
+      // eg. no network connection yet
+      mqo.scheduleReconnect();
+    }
+  }, delay);
+};
+
+/** Connected again - restore subscriptions, send anything that was queued
+ @private */
+MQTT.prototype.restoreSession = function(sessionPresent) {
+  var mqo = this;
+  for (var pid in this.inflight) this.resend(this.inflight[pid]);
+  // If the server didn't keep our session, subscribe again
+  if (this.reconnect && !sessionPresent && Object.keys(this.subscriptions).length)
+    this.subscribe(this.subscriptions);
+  var queue = this.queue;
+  this.queue = [];
+  queue.forEach(function(q) {
+    mqo.publish(q[0], q[1], q[2], q[3]);
+  });
+};
+
 /* Public interface ****************************/
 
 /** Establish connection and set up keep_alive ping */
@@ -166,12 +501,16 @@ MQTT.prototype.connect = function(client) {
   var mqo = this;
   var onConnect = function() {
     console.log('Client connected');
-    client.write(mqo.mqttConnect(mqo.client_id));
+    client.write(mqo.mqttConnect(mqo.clean_session));
+    // MQTT 5 topic aliases only last for one connection
+    mqo.topic_aliases = {};
+    mqo.sent_aliases = {};
 
     // Disconnect if no CONNACK is received
     mqo.ctimo = setTimeout(function() {
       mqo.ctimo = undefined;
-      mqo.disconnect();
+      client.end();
+      onClose();
     }, mqo.C.CONNECT_TIMEOUT);
 
     // Set up regular keep_alive ping
@@ -180,29 +519,72 @@ MQTT.prototype.connect = function(client) {
       mqo.ping();
     }, mqo.ping_interval*1000);
 
-    // Incoming data
-    client.on('data', function(data) {
-      var type = data.charCodeAt(0) >> 4;
+    // Resend QoS 1/2 packets that weren't acknowledged
+    mqo.rintr = setInterval(function() {
+      mqo.retry();
+    }, mqo.C.RETRY_INTERVAL*1000);
+
+    // Handle one incoming packet - data is everything after the fixed header
+    var onPacket = function(cmd, data) {
+      var type = cmd >> 4;
+      var pid, msg;
 
       if(type === TYPE.PUBLISH) {
-        var parsedData = parsePublish(data);
-        if (parsedData!==undefined) {
-          mqo.emit('publish', parsedData);
-          mqo.emit('message', parsedData.topic, parsedData.message);
+        var parsedData = parsePublish(cmd, data, mqo.v5);
+        if (parsedData===undefined) {
+          mqo.emit('error', "Malformed PUBLISH packet");
+        } else {
+          // MQTT 5 - the server may send an alias instead of the topic
+          var alias = parsedData.properties && parsedData.properties.topicAlias;
+          if (alias) {
+            if (parsedData.topic) mqo.topic_aliases[alias] = parsedData.topic;
+            else parsedData.topic = mqo.topic_aliases[alias] || "";
+          }
+          var isNew = true;
+          if (parsedData.qos === 1) {
+            client.write(mqttAck(TYPE.PUBACK, parsedData.pid));
+          } else if (parsedData.qos === 2) {
+            client.write(mqttAck(TYPE.PUBREC, parsedData.pid));
+            // the server resends until it gets PUBREC - only handle it once
+            isNew = !mqo.received[parsedData.pid];
+            mqo.received[parsedData.pid] = true;
+          }
+          if (isNew) {
+            mqo.emit('publish', parsedData);
+            mqo.emit('message', parsedData.topic, parsedData.message);
+            mqo.routeMessage(parsedData);
+          }
         }
       }
-      else if(type === TYPE.PUBACK) {
-        // implement puback
-      }
-      else if(type === TYPE.SUBACK) {
-        // implement suback
+      else if(type >= TYPE.PUBACK && type <= TYPE.PUBCOMP || type === TYPE.SUBACK || type === TYPE.UNSUBACK) {
+        pid = data.charCodeAt(0) << 8 | data.charCodeAt(1);
+        var ack = parseAck(type, data, mqo.v5);
+        // MQTT 5 reason codes of 0x80 and above are errors
+        var err = ack.reasonCode >= 0x80 ? "Reason code 0x"+ack.reasonCode.toString(16) : undefined;
+        if (type === TYPE.PUBREC) {
+          // QoS 2 publish, part 2: release it and wait for PUBCOMP
+          msg = mqo.acknowledge(type, pid);
+          if (!err) mqo.sendInflight(pid, mqttAck(TYPE.PUBREL, pid), TYPE.PUBCOMP, msg && msg.done);
+          else if (msg && msg.done) msg.done(err, ack);
+        } else if (type === TYPE.PUBREL) {
+          // QoS 2 receive is complete
+          delete mqo.received[pid];
+          client.write(mqttAck(TYPE.PUBCOMP, pid));
+        } else {
+          msg = mqo.acknowledge(type, pid);
+          if (msg && msg.done) msg.done(err, ack);
+        }
       }
-      else if(type === TYPE.UNSUBACK) {
-        // implement unsuback
+      else if(type === TYPE.DISCONNECT) {
+        // MQTT 5 - the server tells us why it's disconnecting
+        mqo.emit('disconnect', {
+          reasonCode: data.charCodeAt(0) || 0,
+          properties: data.length > 1 ? parseProperties(data, 1)[0] : {}
+        });
       }
       else if(type === TYPE.PINGREQ) {
         // silently reply to pings
-        client.write(TYPE.PINGRESP+"\x00"); // reply to PINGREQ
+        client.write(fromCharCode(TYPE.PINGRESP<<4)+"\x00"); // reply to PINGREQ
       }
       else if(type === TYPE.PINGRESP) {
         mqo.emit('ping_reply');
@@ -210,16 +592,26 @@ MQTT.prototype.connect = function(client) {
       else if(type === TYPE.CONNACK) {
         if (mqo.ctimo) clearTimeout(mqo.ctimo);
         mqo.ctimo = undefined;
-        var returnCode = data.charCodeAt(3);
+        var returnCode = data.charCodeAt(1);
+        if (mqo.v5) {
+          mqo.server_properties = parseProperties(data, 2)[0];
+          if (mqo.server_properties.assignedClientIdentifier)
+            mqo.client_id = mqo.server_properties.assignedClientIdentifier;
+        }
         if(returnCode === RETURN_CODES.ACCEPTED) {
           mqo.connected = true;
+          mqo.reconnect_attempts = 0;
           console.log("MQTT connection accepted");
+          mqo.restoreSession(data.charCodeAt(0) & 1);
           mqo.emit('connected');
           mqo.emit('connect');
         }
         else {
           var mqttError = "Connection refused, ";
-          switch(returnCode) {
+          // MQTT 5 has different codes, and may give a reason
+          if (mqo.v5) mqttError += "reason code 0x" + returnCode.toString(16) +
+            (mqo.server_properties.reasonString ? " (" + mqo.server_properties.reasonString + ")" : "") + ".";
+          else switch(returnCode) {
               case RETURN_CODES.UNACCEPTABLE_PROTOCOL_VERSION:
                   mqttError += "unacceptable protocol version.";
                   break;
@@ -246,43 +638,127 @@ MQTT.prototype.connect = function(client) {
         console.log("MQTT unsupported packet type: "+type);
         console.log("[MQTT]"+data.split("").map(function(c) { return c.charCodeAt(0); }));
       }
-    });
+    };
 
-    client.on('end', function() {
-      if (mqo.connected) {
-        mqo.connected = false;
-        console.log('MQTT client disconnected');
-        if (mqo.pintr) clearInterval(mqo.pintr);
-        mqo.pintr = undefined;
-        mqo.emit('disconnected');
-        mqo.emit('close');
+    // Incoming data - this may contain part of a packet, or several packets
+    mqo.buffer = "";
+    client.on('data', function(data) {
+      if (mqo.client !== client) return; // an old connection
+      mqo.buffer += data;
+      while (mqo.buffer.length) {
+        var packet;
+        try {
+          packet = parsePacket(mqo.buffer);
+        } catch (e) {
+          // we can't tell where the next packet starts, so give up
+          mqo.buffer = "";
+          mqo.emit('error', "Malformed packet, "+e);
+          client.end();
+          onClose();
+          return;
+        }
+        if (packet===undefined) return; // wait for the rest of it
+        mqo.buffer = mqo.buffer.substr(packet.length);
+        onPacket(packet.cmd, packet.data);
       }
     });
 
     mqo.client = client;
   };
+  var onClose = function() {
+    // ignore this if disconnect() was called, or we've handled it already
+    if (mqo.client === client) mqo.closed(mqo.reconnect);
+  };
+  if (mqo.rctimo) clearTimeout(mqo.rctimo);
+  mqo.rctimo = undefined;
   if (client) { onConnect(); }
   else {
     client = require("net").connect({host : mqo.server, port: mqo.port}, onConnect);
-    // TODO: Reconnect on timeout
+    mqo.client = client;
   }
+  client.on('end', onClose);
+  client.on('close', onClose);
 };
 
 /** Disconnect from server */
 MQTT.prototype.disconnect = function() {
-  this.client.write(fromCharCode(TYPE.DISCONNECT<<4)+"\x00");
-  this.client.end();
-  this.client = false;
+  if (this.rctimo) clearTimeout(this.rctimo);
+  this.rctimo = undefined;
+  var client = this.client;
   this.connected = false;
+  this.closed(false);
+  if (client) {
+    client.write(fromCharCode(TYPE.DISCONNECT<<4)+"\x00");
+    client.end();
+  }
+};
+
+/** Publish message using specified topic. opts is the QoS, or { qos: 0, retain: false }.
+ Retained messages are kept by the server and sent to anyone who subscribes later.
+ For MQTT 5, opts.properties can be an object like { messageExpiryInterval: 60 }.
+ For QoS 1 and 2 the packet id is returned, and callback(err, ack) is called
+ and 'published' emitted once the server has acknowledged the message */
+MQTT.prototype.publish = function(topic, message, opts, callback) {
+  if ('function' === typeof opts) { callback = opts; opts = undefined; }
+  if (!opts) { opts = { qos: this.C.DEF_QOS }; }
+  if ('number' === typeof opts) { opts = { qos: opts }; }
+  var qos = opts.qos || 0;
+  message = message.toString();
+
+  if (this.reconnect && !this.connected) {
+    // offline - keep it until we reconnect, dropping the oldest if there are too many
+    this.queue.push([topic, message, opts, callback]);
+    if (this.queue.length > this.queue_size) {
+      var dropped = this.queue.shift();
+      if ('function' === typeof dropped[3]) { dropped[3]("Offline queue full"); }
+    }
+    return undefined;
+  }
+  var props;
+  if (this.v5) {
+    props = mqttProperties(opts.properties);
+    var alias = opts.properties && opts.properties.topicAlias;
+    // Once the server knows an alias we can leave the topic out. Only for
+    // QoS 0, as aliases are forgotten if we have to resend after reconnecting
+    if (alias && qos === 0) {
+      if (this.sent_aliases[alias] === topic) topic = "";
+      else this.sent_aliases[alias] = topic;
+    }
+  }
+  if (qos === 0) {
+    this.client.write(mqttPublish(topic, message, 0, 0, opts.retain, props));
+    if ('function' === typeof callback) { callback(); }
+    return undefined;
+  }
+  var mqo = this;
+  var pid = this.newPacketId();
+  this.sendInflight(pid, mqttPublish(topic, message, qos, pid, opts.retain, props),
+    qos === 1 ? TYPE.PUBACK : TYPE.PUBREC, function(err, ack) {
+      if (!err) mqo.emit('published', { topic: topic, message: message, qos: qos, pid: pid,
+                                        reasonCode: ack.reasonCode, properties: ack.properties });
+      if ('function' === typeof callback) { callback(err, ack); }
+    });
+  return pid;
 };
 
-/** Publish message using specified topic */
-MQTT.prototype.publish = function(topic, message, qos) {
-  var _qos = qos || this.C.DEF_QOS;
-  this.client.write(mqttPublish(topic, message.toString(), _qos));
+/** MQTT 5 - reply to a message (from the 'publish' event) that has a
+ responseTopic, passing back its correlationData. opts is as for publish */
+MQTT.prototype.reply = function(pub, message, opts, callback) {
+  if ('function' === typeof opts) { callback = opts; opts = undefined; }
+  if ('number' === typeof opts) { opts = { qos: opts }; }
+  opts = opts || {};
+  var req = pub.properties || {};
+  if (!req.responseTopic) return undefined;
+  var properties = {};
+  for (var k in opts.properties) properties[k] = opts.properties[k];
+  if (req.correlationData !== undefined) properties.correlationData = req.correlationData;
+  return this.publish(req.responseTopic, message,
+    { qos: opts.qos, retain: opts.retain, properties: properties }, callback);
 };
 
-/** Subscribe to topic (filter) */
+/** Subscribe to topic (filter). opts is the QoS, or { qos: 0 }. For MQTT 5,
+ opts can also have nl (no local), rap (retain as published), rh (retain
+ handling) and properties (eg. { subscriptionIdentifier: 1 }) */
 MQTT.prototype.subscribe = function(topics, opts, callback) {
   if (!opts) { opts = { qos: this.C.DEF_QOS }; }
   if ('number' === typeof opts) { opts = { qos: opts }; }
@@ -295,7 +771,10 @@ MQTT.prototype.subscribe = function(topics, opts, callback) {
     topics.forEach(function (topic) {
       subs.push({
         topic: topic,
-        qos: opts.qos
+        qos: opts.qos,
+        nl: opts.nl,
+        rap: opts.rap,
+        rh: opts.rh
       });
     });
   } else {
@@ -309,17 +788,72 @@ MQTT.prototype.subscribe = function(topics, opts, callback) {
       });
   }
 
-  subs.forEach(function(sub){
-    // TODO: Multiple topics in single subscribe packet
-    this.client.write(mqttSubscribe(sub.topic, sub.qos));
-  }.bind(this));
+  // callback(err, granted, ack) and 'subscribed' when the SUBACK is back
+  var mqo = this;
+  var pid = this.newPacketId();
+  var props = this.v5 ? mqttProperties(opts.properties) : undefined;
+  this.sendInflight(pid, mqttSubscribe(subs, pid, props), TYPE.SUBACK, function(err, ack) {
+    if (!err) {
+      // granted QoS for each topic, or 128 (or another MQTT 5 reason code) if the server refused it
+      subs.forEach(function(sub, i) {
+        sub.qos = ack.reasonCodes[i];
+        if (sub.qos < 128) mqo.subscriptions[sub.topic] = sub.qos;
+      });
+      mqo.emit('subscribed', subs, ack);
+    }
+    if ('function' === typeof callback) { callback(err, subs, ack); }
+  });
+};
+
+/** Unsubscribe to topic (filter), or an array of them. callback(err, ack) is
+ called and 'unsubscribed' emitted when the server acknowledges it */
+MQTT.prototype.unsubscribe = function(topics, callback) {
+  if ('string' === typeof topics) {
+    topics = [topics];
+  }
+  var mqo = this;
+  topics.forEach(function(topic) { delete mqo.subscriptions[topic]; });
+  var pid = this.newPacketId();
+  var props = this.v5 ? mqttProperties() : undefined;
+  this.sendInflight(pid, mqttUnsubscribe(topics, pid, props), TYPE.UNSUBACK, function(err, ack) {
+    if (!err) mqo.emit('unsubscribed', topics, ack);
+    if ('function' === typeof callback) { callback(err, ack); }
+  });
+};
+
+/** Call handler(message, params, topic) for every message received with a
+ topic that matches filter, which can contain '+' and '#' wildcards. params
+ is an array of the parts of the topic that matched them, eg:
+
+ mqtt.route("home/+/temperature", function(message, params) {
+   // "home/kitchen/temperature" -> params = ["kitchen"]
+ }, { subscribe: true });
 
-  if ('function' === typeof callback) { callback(); }
+ If opts.subscribe is set, the filter is subscribed to as well (with opts.qos) */
+MQTT.prototype.route = function(filter, handler, opts) {
+  opts = opts || {};
+  this.routes.push({ filter: filter, handler: handler });
+  if (opts.subscribe) this.subscribe(filter, opts.qos || this.C.DEF_QOS);
+};
+
+/** Remove the handler (or if it's not given, all handlers) for filter.
+ If opts.unsubscribe is set, the filter is unsubscribed from too */
+MQTT.prototype.unroute = function(filter, handler, opts) {
+  opts = opts || {};
+  this.routes = this.routes.filter(function(r) {
+    return r.filter!==filter || (handler && r.handler!==handler);
+  });
+  if (opts.unsubscribe) this.unsubscribe(filter);
 };
 
-/** Unsubscribe to topic (filter) */
-MQTT.prototype.unsubscribe = function(topic) {
-  this.client.write(mqttUnsubscribe(topic));
+/** Pass a received message to the handlers from route() that match it
+ @private */
+MQTT.prototype.routeMessage = function(pub) {
+  var mqo = this;
+  this.routes.forEach(function(r) {
+    var params = matchTopic(r.filter, pub.topic);
+    if (params) r.handler.call(mqo, pub.message, params, pub.topic);
+  });
 };
 
 /** Send ping request to server */
@@ -336,14 +870,18 @@ MQTT.prototype.createFlagsForConnection = function( options ){
   var flags = 0;
   flags |= ( this.username )? 0x80 : 0;
   flags |= ( this.username && this.password )? 0x40 : 0;
+  if ( this.will_topic ) {
+    flags |= 0x04 | ( this.will_qos << 3 );
+    flags |= ( this.will_retain )? 0x20 : 0;
+  }
   flags |= ( options.clean_session )? 0x02 : 0;
   return createEscapedHex( flags );
 };
 
 /** CONNECT control packet
-    Clean Session and Userid/Password are currently only supported
-    connect flag. Wills are not
-    currently supported.
+    Clean Session, Userid/Password and the Will (a message the server
+    publishes for us if we disconnect unexpectedly) are supported, as
+    are properties for MQTT 5.
 */
 MQTT.prototype.mqttConnect = function(clean) {
   var cmd = TYPE.CONNECT << 4;
@@ -355,6 +893,12 @@ MQTT.prototype.mqttConnect = function(clean) {
 
   /* payload */
   var payload = mqttStr(this.client_id);
+  if( this.will_topic ){
+    if( this.v5 ){
+      payload += mqttProperties( this.will_properties );
+    }
+    payload += mqttStr( this.will_topic ) + mqttStr( this.will_message );
+  }
   if( this.username ){
     payload += mqttStr( this.username );
     if( this.password ){
@@ -366,7 +910,8 @@ MQTT.prototype.mqttConnect = function(clean) {
            mqttStr( this.protocol_name )/*protocol name*/+
            this.protocol_level /*protocol level*/+
            flags+
-           keep_alive,
+           keep_alive+
+           (this.v5 ? mqttProperties( this.properties ) : ""),
            payload);
 };
 
@@ -382,3 +927,16 @@ exports.connect = function(options) {
   mqtt.connect();
   return mqtt;
 };
+
+/** Packet encoders and decoders, for the MQTTBroker module */
+exports.protocol = {
+  TYPE: TYPE,
+  mqttStr: mqttStr,
+  mqttPid: mqttPid,
+  mqttPacket: mqttPacket,
+  mqttPublish: mqttPublish,
+  mqttAck: mqttAck,
+  parsePacket: parsePacket,
+  parsePublish: parsePublish,
+  matchTopic: matchTopic
+};
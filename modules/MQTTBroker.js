@@ -0,0 +1,308 @@
+/* Copyright (c) 2017 Gordon Williams, Pur3 Ltd. See the file LICENSE for copying permission. */
+/*
+A small MQTT 3.1.1 broker, so an Espruino with a network connection can
+pass messages between other devices on a local network.
+
+Supports QoS 0 and 1, wildcard subscriptions, retained messages, wills
+and keep-alive. Sessions are not kept when clients disconnect.
+
+var broker = require("MQTTBroker").create({ port: 1883, max_clients: 5 });
+broker.listen();
+*/
+
+var mqtt = require("MQTT").protocol;
+var TYPE = mqtt.TYPE;
+var fromCharCode = String.fromCharCode;
+
+/** Broker constructor */
+function MQTTBroker(options) {
+  options = options || {};
+  this.port = options.port || 1883;
+  this.max_clients = options.max_clients || 5;
+  // function(client_id, username, password) - return false to refuse a connection
+  this.authenticate = options.authenticate;
+  this.clients = [];
+  this.retained = {}; // topic -> { message, qos }
+}
+
+/** 'public' constants here */
+MQTTBroker.prototype.C = {
+  CHECK_INTERVAL  : 1000, // How often (ms) to check for timeouts
+  CONNECT_TIMEOUT : 10,   // Time (s) to wait for CONNECT after a client connects
+  RETRY_INTERVAL  : 10,   // Time (s) to wait for PUBACK before resending
+  MAX_INFLIGHT    : 10    // QoS 1 messages per client waiting for PUBACK - any more are sent as QoS 0
+};
+
+/** MQTT string at data[i] - returns [string, index after it] */
+function parseStr(data, i) {
+  var len = data.charCodeAt(i) << 8 | data.charCodeAt(i+1);
+  return [data.substr(i+2, len), i+2+len];
+}
+
+/** Start listening for connections */
+MQTTBroker.prototype.listen = function(port) {
+  var broker = this;
+  this.server = require("net").createServer(function(socket) {
+    broker.onConnection(socket);
+  });
+  this.server.listen(port || this.port);
+  this.interval = setInterval(function() {
+    broker.check();
+  }, this.C.CHECK_INTERVAL);
+};
+
+/** Stop the broker, and disconnect all clients */
+MQTTBroker.prototype.close = function() {
+  var broker = this;
+  if (this.server) this.server.close();
+  this.server = undefined;
+  if (this.interval) clearInterval(this.interval);
+  this.interval = undefined;
+  this.clients.slice().forEach(function(client) {
+    broker.drop(client, false);
+  });
+};
+
+/** A new socket connected - wait for CONNECT
+ @private */
+MQTTBroker.prototype.onConnection = function(socket) {
+  var broker = this;
+  var client = {
+    socket: socket,
+    connected: false,
+    buffer: "",
+    lastSeen: getTime(),
+    subs: {}, // filter -> qos
+    pid: 0,
+    inflight: {}, // QoS 1 messages we sent, by packet id
+    received: {} // ids of QoS 2 messages we received that haven't been released
+  };
+  this.clients.push(client);
+  socket.on('data', function(data) {
+    client.buffer += data;
+    while (client.buffer.length && client.socket) {
+      var packet;
+      try {
+        packet = mqtt.parsePacket(client.buffer);
+      } catch (e) {
+        broker.drop(client, true);
+        return;
+      }
+      if (packet===undefined) return; // wait for the rest of it
+      client.buffer = client.buffer.substr(packet.length);
+      client.lastSeen = getTime();
+      broker.onPacket(client, packet.cmd, packet.data);
+    }
+  });
+  socket.on('close', function() {
+    broker.drop(client, true);
+  });
+};
+
+/** Disconnect a client, sending its will if it didn't disconnect properly
+ @private */
+MQTTBroker.prototype.drop = function(client, sendWill) {
+  var idx = this.clients.indexOf(client);
+  if (idx<0) return; // already dropped
+  this.clients.splice(idx, 1);
+  var socket = client.socket;
+  client.socket = undefined;
+  socket.end();
+  if (!client.connected) return;
+  client.connected = false;
+  this.emit('disconnect', client.id);
+  if (sendWill && client.will)
+    this.publish(client.will.topic, client.will.message, client.will);
+};
+
+/** Handle one packet from a client - data is everything after the fixed header
+ @private */
+MQTTBroker.prototype.onPacket = function(client, cmd, data) {
+  var type = cmd >> 4;
+  var pid = data.charCodeAt(0) << 8 | data.charCodeAt(1);
+  // the first packet must be CONNECT, and only the first
+  if ((type === TYPE.CONNECT) === client.connected)
+    return this.drop(client, true);
+
+  if (type === TYPE.CONNECT) {
+    this.onConnect(client, data);
+  } else if (type === TYPE.PUBLISH) {
+    var pub = mqtt.parsePublish(cmd, data);
+    if (pub===undefined) return this.drop(client, true);
+    if (pub.qos === 1) {
+      client.socket.write(mqtt.mqttAck(TYPE.PUBACK, pub.pid));
+    } else if (pub.qos === 2) {
+      // we'll deliver it at QoS 1 at most, but have to go through the QoS 2 handshake
+      client.socket.write(mqtt.mqttAck(TYPE.PUBREC, pub.pid));
+      if (client.received[pub.pid]) return;
+      client.received[pub.pid] = true;
+    }
+    this.publish(pub.topic, pub.message, pub);
+  } else if (type === TYPE.PUBREL) {
+    delete client.received[pid];
+    client.socket.write(mqtt.mqttAck(TYPE.PUBCOMP, pid));
+  } else if (type === TYPE.PUBACK) {
+    delete client.inflight[pid];
+  } else if (type === TYPE.SUBSCRIBE) {
+    this.onSubscribe(client, pid, data);
+  } else if (type === TYPE.UNSUBSCRIBE) {
+    for (var i=2;i<data.length;) {
+      var topic = parseStr(data, i);
+      delete client.subs[topic[0]];
+      i = topic[1];
+    }
+    client.socket.write(mqtt.mqttPacket(TYPE.UNSUBACK << 4, mqtt.mqttPid(pid), ""));
+  } else if (type === TYPE.PINGREQ) {
+    client.socket.write(fromCharCode(TYPE.PINGRESP << 4, 0));
+  } else if (type === TYPE.DISCONNECT) {
+    this.drop(client, false);
+  } else {
+    // not something a client should send us
+    this.drop(client, true);
+  }
+};
+
+/** CONNECT - check the client is allowed to connect, and reply with CONNACK
+ @private */
+MQTTBroker.prototype.onConnect = function(client, data) {
+  var broker = this;
+  var s = parseStr(data, 0); // protocol name
+  var i = s[1];
+  var level = data.charCodeAt(i);
+  var flags = data.charCodeAt(i+1);
+  var keep_alive = data.charCodeAt(i+2) << 8 | data.charCodeAt(i+3);
+  s = parseStr(data, i+4);
+  var id = s[0];
+  var will, username, password;
+  if (flags & 0x04) {
+    var topic = parseStr(data, s[1]);
+    s = parseStr(data, topic[1]);
+    will = { topic: topic[0], message: s[0], qos: (flags >> 3) & 3, retain: flags & 0x20 };
+  }
+  if (flags & 0x80) {
+    s = parseStr(data, s[1]);
+    username = s[0];
+  }
+  if (flags & 0x40) {
+    s = parseStr(data, s[1]);
+    password = s[0];
+  }
+
+  // (a client that's reconnecting replaces its old connection)
+  var connected = this.clients.filter(function(c) { return c.connected && c.id!==id; }).length;
+  var code = 0;
+  if (level!=4 && level!=3) code = 1; // unacceptable protocol version
+  else if (!id && !(flags & 0x02)) code = 2; // identifier rejected
+  else if (connected >= this.max_clients) code = 3; // server unavailable
+  else if (this.authenticate && !this.authenticate(id, username, password)) code = 5; // not authorized
+  client.socket.write(mqtt.mqttPacket(TYPE.CONNACK << 4, fromCharCode(0, code), ""));
+  if (code) return this.drop(client, false);
+
+  if (!id) id = "espruino_"+Math.random().toString(36).substr(2);
+  // only one connection is allowed per client id
+  this.clients.slice().forEach(function(c) {
+    if (c!==client && c.id===id) broker.drop(c, false);
+  });
+  client.id = id;
+  client.keep_alive = keep_alive;
+  client.will = will;
+  client.connected = true;
+  this.emit('connect', { id: id, username: username });
+};
+
+/** SUBSCRIBE - reply with SUBACK, and send any retained messages that match
+ @private */
+MQTTBroker.prototype.onSubscribe = function(client, pid, data) {
+  var broker = this;
+  var codes = "";
+  var filters = [];
+  for (var i=2;i<data.length;) {
+    var s = parseStr(data, i);
+    // we only support QoS 0 and 1
+    var qos = Math.min(data.charCodeAt(s[1]) & 3, 1);
+    i = s[1]+1;
+    if (!s[0]) {
+      codes += fromCharCode(0x80); // failure
+      continue;
+    }
+    client.subs[s[0]] = qos;
+    filters.push(s[0]);
+    codes += fromCharCode(qos);
+  }
+  client.socket.write(mqtt.mqttPacket(TYPE.SUBACK << 4, mqtt.mqttPid(pid), codes));
+  this.emit('subscribe', client.id, filters);
+  Object.keys(this.retained).forEach(function(topic) {
+    var qos = -1;
+    filters.forEach(function(f) {
+      if (mqtt.matchTopic(f, topic)) qos = Math.max(qos, client.subs[f]);
+    });
+    var msg = broker.retained[topic];
+    if (qos>=0) broker.send(client, topic, msg.message, Math.min(qos, msg.qos), true);
+  });
+};
+
+/** Publish a message to every client with a matching subscription.
+ opts = { qos: 0, retain: false }. Retained messages are kept and sent to
+ clients when they subscribe - publish an empty retained message to remove one */
+MQTTBroker.prototype.publish = function(topic, message, opts) {
+  var broker = this;
+  opts = opts || {};
+  message = message.toString();
+  var qos = Math.min(opts.qos || 0, 1);
+  if (opts.retain) {
+    if (message==="") delete this.retained[topic];
+    else this.retained[topic] = { message: message, qos: qos };
+  }
+  this.emit('publish', { topic: topic, message: message, qos: qos, retain: opts.retain ? 1 : 0 });
+  this.clients.forEach(function(client) {
+    if (!client.connected) return;
+    // send once, at the highest QoS of any subscription that matches
+    var subQos = -1;
+    for (var f in client.subs)
+      if (mqtt.matchTopic(f, topic)) subQos = Math.max(subQos, client.subs[f]);
+    if (subQos>=0) broker.send(client, topic, message, Math.min(subQos, qos), false);
+  });
+};
+
+/** Send a PUBLISH packet to one client
+ @private */
+MQTTBroker.prototype.send = function(client, topic, message, qos, retain) {
+  if (qos && Object.keys(client.inflight).length >= this.C.MAX_INFLIGHT) qos = 0;
+  if (!qos) {
+    client.socket.write(mqtt.mqttPublish(topic, message, 0, 0, retain));
+    return;
+  }
+  do {
+    client.pid = (client.pid % 65535) + 1;
+  } while (client.inflight[client.pid]);
+  var packet = mqtt.mqttPublish(topic, message, qos, client.pid, retain);
+  client.inflight[client.pid] = { packet: packet, time: getTime() };
+  client.socket.write(packet);
+};
+
+/** Drop clients that have gone quiet, and resend unacknowledged messages
+ @private */
+MQTTBroker.prototype.check = function() {
+  var broker = this;
+  var now = getTime();
+  this.clients.slice().forEach(function(client) {
+    // clients must send something every keep_alive seconds - we allow half as long again
+    var timeout = client.connected ? client.keep_alive*1.5 : broker.C.CONNECT_TIMEOUT;
+    if (timeout && now > client.lastSeen+timeout)
+      return broker.drop(client, true);
+    for (var pid in client.inflight) {
+      var msg = client.inflight[pid];
+      if (now < msg.time + broker.C.RETRY_INTERVAL) continue;
+      // set the DUP flag
+      msg.packet = fromCharCode(msg.packet.charCodeAt(0) | 0x08) + msg.packet.substr(1);
+      msg.time = now;
+      client.socket.write(msg.packet);
+    }
+  });
+};
+
+/* Exports *************************************/
+
+exports.create = function(options) {
+  return new MQTTBroker(options);
+};
@@ -96,17 +96,16 @@ MySensors.prototype.setMqttGW = function(g,p,s) {
   this.connection = g;
   this.pubtopic = p;
   this.subtopic = s;
-  this.connection.on('message',(function(msg){
-    var parts = msg.topic.split("/").slice(1);
-    this.parse(parts.join(";")+";"+msg.message+"\n")
-  }).bind(this));
+  // params are nodeId, childSensorId, messageType, ack and subType
+  this.connection.route(this.subtopic+"/+/+/+/+/+",(function(message, params){
+    this.handler(params.concat(message));
+  }).bind(this), { subscribe: true });
   this.send = (function(msg){
     this.connection.publish(
       this.pubtopic+"/"+msg.nodeId+"/"+msg.childSensorId+"/"+msg.messageType+"/"+msg.ack+"/"+msg.subType,
       JSON.stringify(msg.payload)
     );
   }).bind(this);
-  this.connection.subscribe(this.subtopic+"/+/+/+/+/+");
   this.emit('presentation');
 }
 
@@ -44,15 +44,60 @@
 */
 
 /**
- * Try to calculate string bytes
+ * Content-Type for each file extension
  */
-String.prototype.byteLength = function () {
-	var total = 0;
-	var LOG2_256 = 8;
-	var LN2x8 = Math.LN2 * LOG2_256;
+var MIME_TYPES = {
+	'htm': 'text/html',
+	'html': 'text/html',
+	'css': 'text/css',
+	'js': 'application/javascript',
+	'json': 'application/json',
+	'txt': 'text/plain',
+	'csv': 'text/csv',
+	'xml': 'application/xml',
+	'svg': 'image/svg+xml',
+	'png': 'image/png',
+	'jpg': 'image/jpeg',
+	'jpeg': 'image/jpeg',
+	'gif': 'image/gif',
+	'bmp': 'image/bmp',
+	'ico': 'image/x-icon',
+	'wav': 'audio/wav',
+	'mp3': 'audio/mpeg',
+	'pdf': 'application/pdf',
+	'zip': 'application/zip',
+	'woff': 'font/woff',
+	'woff2': 'font/woff2',
+	'ttf': 'font/ttf',
+	'appcache': 'text/cache-manifest',
+	'webmanifest': 'application/manifest+json'
+};
+
+/**
+ * How many bytes to read at a time when sending a stream
+ */
+var CHUNK_SIZE = 512;
+
+/**
+ * Get the Content-Type for a file name from its extension
+ */
+function mimeType(name) {
+	return MIME_TYPES[name.substr(name.lastIndexOf('.') + 1).toLowerCase()];
+}
+
+/**
+ * Number of bytes a string takes when it is sent. Espruino strings hold a
+ * byte per character, but any characters above 255 are sent as UTF-8
+ */
+function byteLength(str) {
+	var total = str.length;
 
-	for (var i = 0; i < this.length; i++) {
-		total += Math.ceil(Math.log(this[i].charCodeAt()) / LN2x8);
+	for (var i = 0; i < str.length; i++) {
+		var c = str.charCodeAt(i);
+		if (c > 255) {
+			// surrogate pairs are 4 bytes, so 2 each
+			total += (c > 2047 && (c < 0xD800 || c > 0xDFFF)) ? 2 : 1;
+		}
 	}
 
 	return total;
@@ -71,21 +116,671 @@ function WebServer (cfg) {
 	this.not_found = cfg.default_not_found || 'File not found';
 	this.file_system = cfg.file_system || '';
 	this.memory = cfg.memory || null;
+	this.body_limit = cfg.body_limit || 1024;
+	this.upload_path = cfg.upload_path || '';
+	this.upload_limit = cfg.upload_limit || 0;
+	this.cache_control = cfg.cache_control;
+	this.auth = cfg.auth || null;
+	this.failures = {}; // failed logins (and lockouts) by user name
+	this.nonce_key = Math.random().toString(36).substr(2) + getTime();
+	this.routes = [];
+}
+
+/**
+ * Get a request header, ignoring the case of its name
+ */
+function getHeader(req, name) {
+	name = name.toLowerCase();
+	for (var h in req.headers) {
+		if (h.toLowerCase() == name) return req.headers[h];
+	}
+}
+
+/**
+ * Get a parameter from a header like 'form-data; name="file"; filename="a.txt"'
+ */
+function headerParam(header, key) {
+	var params = header.split(';');
+
+	for (var i = 1; i < params.length; i++) {
+		var p = params[i].trim(),
+			eq = p.indexOf('=');
+
+		if (eq > 0 && p.substr(0, eq).trim().toLowerCase() == key) {
+			p = p.substr(eq + 1).trim();
+			if (p[0] == '"') p = p.substr(1, p.length - 2);
+			return p;
+		}
+	}
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded string into an object
+ */
+function parseQuery(str) {
+	var obj = {};
+
+	str.split('&').forEach(function (pair) {
+		if (!pair) return;
+		var eq = pair.indexOf('=');
+		if (eq < 0) eq = pair.length;
+		obj[decodeURIComponent(pair.substr(0, eq).split('+').join(' '))] =
+			decodeURIComponent(pair.substr(eq + 1).split('+').join(' '));
+	});
+
+	return obj;
+}
+
+/**
+ * Wrap a file so that only 'length' more bytes can be read from it
+ */
+function limitStream(file, length) {
+	return {
+		read: function (n) {
+			if (length <= 0) return;
+			var data = file.read(Math.min(n, length));
+			if (data) length -= data.length;
+			return data;
+		},
+		close: function () {
+			file.close();
+		}
+	};
 }
 
+/**
+ * Parse the parameters of a Digest Authorization header into an object
+ */
+function parseAuthParams(str) {
+	var params = {}, i = 0, eq, end;
+
+	while ((eq = str.indexOf('=', i)) > 0) {
+		var key = str.substring(i, eq).trim().toLowerCase();
+
+		i = eq + 1;
+		if (str[i] == '"') {
+			end = str.indexOf('"', i + 1);
+			if (end < 0) end = str.length;
+			params[key] = str.substring(i + 1, end);
+			end = str.indexOf(',', end);
+		} else {
+			end = str.indexOf(',', i);
+			params[key] = str.substring(i, end < 0 ? str.length : end).trim();
+		}
+		if (end < 0) break;
+		i = end + 1;
+	}
+
+	return params;
+}
+
+/**
+ * Hex SHA-256 hash of a string (using hashlib, like the hmac module)
+ */
+function sha256(str) {
+	var h = hashlib.sha256(), d, hex = '';
+
+	h.update(str);
+	d = h.digest();
+	for (var i = 0; i < d.length; i++) {
+		hex += (256 + d.charCodeAt(i)).toString(16).substr(-2);
+	}
+
+	return hex;
+}
+
+/**
+ * An error reading the request body, with the HTTP status to respond with
+ */
+function bodyError(status, msg) {
+	return {type: 'BodyError', msg: msg, status: status};
+}
+
+/**
+ * Split a path into its segments, ignoring empty ones
+ */
+function splitPath(path) {
+	return path.split('/').filter(function (s) { return s !== ''; });
+}
+
+/**
+ * Match path segments against a route's segments. Returns the parameters
+ * (':name' segments, and what '*' matched as 0, 1, ...) or undefined
+ */
+function matchPath(route, parts, prefix) {
+	var params = {}, wild = 0;
+
+	for (var i = 0; i < route.length; i++) {
+		if (route[i] == '*' && i == route.length - 1) {
+			params[wild++] = parts.slice(i).join('/');
+			return params;
+		}
+		if (i >= parts.length) return;
+		if (route[i][0] == ':') {
+			params[route[i].substr(1)] = decodeURIComponent(parts[i]);
+		} else if (route[i] == '*') {
+			params[wild++] = parts[i];
+		} else if (route[i] != parts[i]) {
+			return;
+		}
+	}
+
+	if (!prefix && parts.length != route.length) return;
+	return params;
+}
+
+/**
+ * Add handlers for a method (or any method if undefined) and path. Handlers
+ * are called as handler(req, res, next) - call next() to pass the request on
+ * to the next matching handler, or next(error) to fail with a 500 error
+ */
+WebServer.prototype.route = function (method, path, handlers, prefix) {
+	for (var i = 0; i < handlers.length; i++) {
+		this.routes.push({
+			method: method,
+			path: path === undefined ? undefined : splitPath(path),
+			prefix: prefix,
+			handler: handlers[i]
+		});
+	}
+
+	return this;
+};
+
+/**
+ * Add middleware for every request: use(handler), or for every request
+ * whose path starts with a prefix: use('/api', handler)
+ */
+WebServer.prototype.use = function (path) {
+	if (typeof path == 'function') {
+		return this.route(undefined, undefined, Array.prototype.slice.call(arguments));
+	}
+
+	return this.route(undefined, path, Array.prototype.slice.call(arguments, 1), true);
+};
+
+/** Handle GET (and HEAD) requests for a path, eg. get('/api/led/:id', handler) */
+WebServer.prototype.get = function (path) {
+	return this.route('GET', path, Array.prototype.slice.call(arguments, 1));
+};
+
+/** Handle POST requests for a path */
+WebServer.prototype.post = function (path) {
+	return this.route('POST', path, Array.prototype.slice.call(arguments, 1));
+};
+
+/** Handle PUT requests for a path */
+WebServer.prototype.put = function (path) {
+	return this.route('PUT', path, Array.prototype.slice.call(arguments, 1));
+};
+
+/** Handle DELETE requests for a path */
+WebServer.prototype['delete'] = function (path) {
+	return this.route('DELETE', path, Array.prototype.slice.call(arguments, 1));
+};
+
+/** Handle requests for a path with any method */
+WebServer.prototype.all = function (path) {
+	return this.route(undefined, path, Array.prototype.slice.call(arguments, 1));
+};
+
 WebServer.prototype.router = function (req, res) {
-	var uri = url.parse(req.url, true),
+	var webs = this,
+		uri = url.parse(req.url, true),
 		i = uri.pathname.lastIndexOf('/'),
-		header = {'status': 200, 'Content-Type': this.type},
-		content = '';
+		parts = splitPath(uri.pathname),
+		idx = 0;
 
 	if (i >= 0) {
 		uri.file = uri.pathname.substr(i+1) || this.index;
 		uri.isSsS = uri.file.toLowerCase().indexOf('.njs');
 	}
 
+	req.path = uri.pathname;
+	req.query = uri.query || {};
+	req.params = {};
+
+	// Express-like helpers for route handlers
+	res.status = function (code) {
+		res.statusCode = code;
+		return res;
+	};
+	res.send = function (content, type) {
+		webs.respond(req, res, {'status': res.statusCode || 200, 'Content-Type': type || webs.type}, content);
+	};
+	res.json = function (obj) {
+		res.send(JSON.stringify(obj), 'application/json');
+	};
+
 	this.emit('request', req, res, uri, this);
 
+	// memory files are found by their name alone, so check the rules for that too
+	var rule;
+	try {
+		rule = this.authRule(parts) ||
+			(this.memory && (this.memory[uri.file] || this.memory[uri.file + '.gz']) && this.authRule([uri.file]));
+	} catch (e) {
+		// a ':name' segment that isn't valid %-encoding
+		e.status = 400;
+		return this.serveError(req, res, uri, e);
+	}
+	if (rule && !this.authenticate(req, res, rule)) return;
+
+	function next(err) {
+		if (err) return webs.serveError(req, res, uri, err);
+
+		while (idx < webs.routes.length) {
+			var r = webs.routes[idx++],
+				params;
+
+			try {
+				params = r.path ? matchPath(r.path, parts, r.prefix) : {};
+			} catch (e) {
+				// a ':name' segment that isn't valid %-encoding
+				e.status = 400;
+				return next(e);
+			}
+
+			if (!params || (r.method && r.method != req.method && !(r.method == 'GET' && req.method == 'HEAD'))) continue;
+
+			req.params = params;
+			try {
+				r.handler(req, res, next);
+			} catch (e) {
+				next(e);
+			}
+			return;
+		}
+
+		// nothing handled it - serve a file
+		webs.serveStatic(req, res, uri);
+	}
+
+	this.readBody(req, next);
+};
+
+/**
+ * Find the first auth rule whose path matches the request's path segments.
+ * Case is ignored, as it is by the FAT file system on an SD card
+ * @private
+ */
+WebServer.prototype.authRule = function (parts) {
+	var rules = (this.auth && this.auth.rules) || [];
+
+	parts = parts.map(function (p) { return p.toLowerCase(); });
+	for (var i = 0; i < rules.length; i++) {
+		if (matchPath(splitPath(rules[i].path.toLowerCase()), parts, true)) return rules[i];
+	}
+};
+
+/**
+ * Check a request's credentials for an auth rule. If they're ok, set req.user
+ * and return true. Otherwise respond with 401 (or 403) and return false
+ * @private
+ */
+WebServer.prototype.authenticate = function (req, res, rule) {
+	var auth = this.auth,
+		types = [].concat(rule.type || 'basic'),
+		authorization = getHeader(req, 'Authorization') || '',
+		space = authorization.indexOf(' '),
+		scheme = authorization.substr(0, space).toLowerCase(),
+		creds = authorization.substr(space + 1).trim(),
+		realm = auth.realm || 'Espruino',
+		check = {result: 'missing'},
+		challenge = [];
+
+	// tokens can be given in the query string too, eg. for websockets
+	if (!authorization && req.query.access_token) {
+		scheme = 'bearer';
+		creds = req.query.access_token;
+	}
+	if (scheme == 'bearer') scheme = 'token';
+
+	if (types.indexOf(scheme) >= 0) {
+		try {
+			check = this[{basic: 'checkBasic', digest: 'checkDigest', token: 'checkToken'}[scheme]](req, creds, realm);
+		} catch (e) {
+			check = {result: 'bad'}; // couldn't decode it
+		}
+	}
+
+	// only keep track of users we know about, so failures can't fill up RAM
+	var key = (auth.users && auth.users.hasOwnProperty(check.user)) ? check.user : '',
+		fail = this.failures[key];
+
+	if (check.result != 'missing' && fail && fail.until > getTime()) {
+		this.emit('unauthorized', req, check.user, 'locked', this);
+		this.respond(req, res, {'status': 403, 'Content-Type': this.type}, 'Locked out');
+		return false;
+	}
+
+	if (check.result == 'ok') {
+		if (rule.users && rule.users.indexOf(check.user) < 0) {
+			this.emit('unauthorized', req, check.user, 'forbidden', this);
+			this.respond(req, res, {'status': 403, 'Content-Type': this.type}, 'Forbidden');
+			return false;
+		}
+		delete this.failures[key];
+		req.user = check.user;
+		return true;
+	}
+
+	if (check.result == 'bad') {
+		fail = this.failures[key] = fail || {count: 0};
+		this.emit('unauthorized', req, check.user, 'failed', this);
+		if (++fail.count >= (auth.max_failures || 5)) {
+			fail.count = 0;
+			fail.until = getTime() + (auth.lockout || 60);
+			this.emit('lockout', check.user, this);
+		}
+	}
+
+	// ask for credentials - 'retry' is for good credentials that have expired
+	if (types.indexOf('digest') >= 0) {
+		challenge.push('Digest realm="' + realm + '", qop="auth", algorithm=SHA-256, nonce="' + this.nonce() + '"' +
+			(scheme == 'digest' && check.result == 'retry' ? ', stale=true' : ''));
+	}
+	if (types.indexOf('basic') >= 0) {
+		challenge.push('Basic realm="' + realm + '"');
+	}
+	if (types.indexOf('token') >= 0) {
+		challenge.push('Bearer realm="' + realm + '"' + (scheme == 'token' && check.result != 'missing' ? ', error="invalid_token"' : ''));
+	}
+
+	this.respond(req, res, {'status': 401, 'Content-Type': this.type, 'WWW-Authenticate': challenge.join(', ')}, 'Unauthorized');
+	return false;
+};
+
+/**
+ * Check 'Authorization: Basic base64(user:password)'
+ * @private
+ */
+WebServer.prototype.checkBasic = function (req, creds) {
+	var hmac = require('hmac'),
+		users = this.auth.users || {},
+		str = atob(creds),
+		colon = str.indexOf(':'),
+		user = str.substr(0, colon);
+
+	return {
+		user: user,
+		result: (colon > 0 && users.hasOwnProperty(user) && hmac.compare_digest(String(users[user]), str.substr(colon + 1))) ? 'ok' : 'bad'
+	};
+};
+
+/**
+ * Check 'Authorization: Digest ...' (RFC 7616, with SHA-256)
+ * @private
+ */
+WebServer.prototype.checkDigest = function (req, creds, realm) {
+	var hmac = require('hmac'),
+		users = this.auth.users || {},
+		p = parseAuthParams(creds),
+		time = (p.nonce || '').split('.')[0],
+		result = 'bad';
+
+	if (users.hasOwnProperty(p.username) && p.realm == realm && p.qop == 'auth' && p.uri == req.url &&
+		hmac.compare_digest(this.nonce(time), p.nonce)) {
+		var ha1 = sha256(p.username + ':' + realm + ':' + users[p.username]),
+			ha2 = sha256(req.method + ':' + p.uri);
+
+		if (hmac.compare_digest(sha256(ha1 + ':' + p.nonce + ':' + p.nc + ':' + p.cnonce + ':auth:' + ha2), p.response || '')) {
+			// nonces only last 5 minutes
+			result = (parseInt(time, 16) + 300 < getTime()) ? 'retry' : 'ok';
+		}
+	}
+
+	return {user: p.username, result: result};
+};
+
+/**
+ * Check 'Authorization: Bearer token', for a token from createToken
+ * @private
+ */
+WebServer.prototype.checkToken = function (req, creds) {
+	var hmac = require('hmac'),
+		dot = creds.lastIndexOf('.'),
+		payload = creds.substr(0, dot),
+		data = JSON.parse(atob(payload)),
+		secret = this.auth.token_secret,
+		result = 'bad';
+
+	if (dot > 0 && secret && hmac.compare_digest(hmac.create(secret, payload).hexdigest(), creds.substr(dot + 1))) {
+		result = (data.exp && data.exp < getTime()) ? 'retry' : 'ok';
+	}
+
+	return {user: data.user, result: result};
+};
+
+/**
+ * Create a nonce for Digest authentication - the time it was made, signed so
+ * we don't have to remember which ones we gave out
+ * @private
+ */
+WebServer.prototype.nonce = function (time) {
+	var hmac = require('hmac');
+
+	time = time || Math.floor(getTime()).toString(16);
+	return time + '.' + hmac.create(this.nonce_key, time).hexdigest().substr(0, 32);
+};
+
+/**
+ * Create a bearer token for a user, signed with auth.token_secret. It lasts
+ * for 'expires' seconds (or forever if not given)
+ */
+WebServer.prototype.createToken = function (user, expires) {
+	var hmac = require('hmac'),
+		payload = btoa(JSON.stringify({user: user, exp: expires ? Math.floor(getTime()) + expires : 0}));
+
+	return payload + '.' + hmac.create(this.auth.token_secret, payload).hexdigest();
+};
+
+/**
+ * Read the request body (if there is one) and then call callback(err).
+ * JSON and urlencoded bodies are parsed into req.body (anything else is
+ * left as a string), and for multipart/form-data the fields go in req.body
+ * and files are written to upload_path as they arrive and listed in req.files
+ * @private
+ */
+WebServer.prototype.readBody = function (req, callback) {
+	var webs = this,
+		length = parseInt(getHeader(req, 'Content-Length')) || 0,
+		contentType = getHeader(req, 'Content-Type') || '',
+		type = contentType.split(';')[0].trim().toLowerCase(),
+		body = '',
+		received = 0,
+		finished = false,
+		parser;
+
+	req.body = {};
+	req.files = {};
+	if (!length) return callback();
+
+	if (type == 'multipart/form-data') {
+		if (this.upload_limit && length > this.upload_limit) {
+			return callback(bodyError(413, 'Upload larger than ' + this.upload_limit + ' bytes'));
+		}
+		try {
+			parser = this.multipart(req, headerParam(contentType, 'boundary'));
+		} catch (e) {
+			return callback(e);
+		}
+	} else if (length > this.body_limit) {
+		return callback(bodyError(413, 'Body larger than ' + this.body_limit + ' bytes'));
+	}
+
+	function finish(err) {
+		if (finished) return;
+		finished = true;
+
+		try {
+			if (parser) {
+				parser(); // closes any open file
+			} else if (!err) {
+				if (type == 'application/json') {
+					try {
+						req.body = JSON.parse(body);
+					} catch (e) {
+						throw bodyError(400, 'Invalid JSON');
+					}
+				} else if (type == 'application/x-www-form-urlencoded') {
+					try {
+						req.body = parseQuery(body);
+					} catch (e) {
+						throw bodyError(400, 'Invalid urlencoded body');
+					}
+				} else {
+					req.body = body;
+				}
+			}
+		} catch (e) {
+			err = err || e;
+		}
+
+		callback(err);
+	}
+
+	req.on('data', function (data) {
+		if (finished) return;
+		received += data.length;
+
+		try {
+			// the Content-Length was checked against the limits, so we can't get more than it
+			if (received > length) throw bodyError(413, 'Body longer than its Content-Length');
+			if (parser) {
+				parser(data);
+			} else {
+				body += data;
+			}
+		} catch (e) {
+			return finish(e);
+		}
+
+		if (received == length) finish();
+	});
+	req.on('close', function () {
+		finish(received < length ? bodyError(400, 'Incomplete body') : undefined);
+	});
+};
+
+/**
+ * Create a parser for a multipart/form-data body. Returns a function to call
+ * with each chunk of data as it arrives, and with no arguments at the end.
+ * Files are written straight to disk so they're never all in RAM
+ * @private
+ */
+WebServer.prototype.multipart = function (req, boundary) {
+	var webs = this,
+		delim = '\r\n--' + boundary,
+		buf = '\r\n', // so the first boundary matches delim too
+		state = 0, // 0: before first boundary, 1: after a boundary, 2: part headers, 3: part body, 4: done
+		part;
+
+	if (!boundary) throw bodyError(400, 'No multipart boundary');
+
+	function write(data) {
+		if (part.file) {
+			part.file.write(data);
+			part.size += data.length;
+		} else {
+			part.value += data;
+			if (part.value.length > webs.body_limit) throw bodyError(413, 'Field ' + part.name + ' larger than ' + webs.body_limit + ' bytes');
+		}
+	}
+
+	function endPart() {
+		if (part.file) {
+			part.file.close();
+			req.files[part.name] = {filename: part.filename, path: part.path, size: part.size, type: part.type};
+		} else {
+			req.body[part.name] = part.value;
+		}
+		part = undefined;
+	}
+
+	function parse() {
+		var i;
+
+		while (true) {
+			if (state == 0 || state == 3) {
+				i = buf.indexOf(delim);
+				if (i < 0) {
+					// keep enough to find a boundary that is split between chunks
+					i = buf.length - delim.length + 1;
+					if (i > 0) {
+						if (state == 3) write(buf.substr(0, i));
+						buf = buf.substr(i);
+					}
+					return;
+				}
+				if (state == 3) {
+					write(buf.substr(0, i));
+					endPart();
+				}
+				buf = buf.substr(i + delim.length);
+				state = 1;
+			} else if (state == 1) {
+				if (buf.length < 2) return;
+				state = buf.substr(0, 2) == '--' ? 4 : 2;
+				buf = buf.substr(2);
+			} else if (state == 2) {
+				i = buf.indexOf('\r\n\r\n');
+				if (i < 0) {
+					if (buf.length > 1024) throw bodyError(413, 'Multipart headers too long');
+					return;
+				}
+				var headers = {headers: {}};
+				buf.substr(0, i).split('\r\n').forEach(function (line) {
+					var colon = line.indexOf(':');
+					if (colon > 0) headers.headers[line.substr(0, colon)] = line.substr(colon + 1).trim();
+				});
+				buf = buf.substr(i + 4);
+				var disposition = getHeader(headers, 'Content-Disposition') || '';
+				part = {name: headerParam(disposition, 'name'), filename: headerParam(disposition, 'filename'), value: ''};
+				if (part.filename) {
+					if (!webs.upload_path) throw bodyError(403, 'File uploads are not enabled');
+					// don't let the name point anywhere other than upload_path
+					part.filename = part.filename.substr(part.filename.lastIndexOf('/') + 1);
+					part.filename = part.filename.substr(part.filename.lastIndexOf('\\') + 1);
+					if (part.filename == '' || part.filename == '.' || part.filename == '..') throw bodyError(400, 'Invalid file name');
+					part.path = webs.upload_path + (webs.upload_path.substr(-1) == '/' ? '' : '/') + part.filename;
+					part.type = getHeader(headers, 'Content-Type');
+					part.size = 0;
+					part.file = E.openFile(part.path, 'w');
+				}
+				state = 3;
+			} else {
+				buf = ''; // ignore anything after the last boundary
+				return;
+			}
+		}
+	}
+
+	return function (data) {
+		try {
+			if (data === undefined) {
+				if (state != 4) throw bodyError(400, 'Incomplete multipart body');
+				return;
+			}
+			buf += data;
+			parse();
+		} catch (e) {
+			if (part && part.file) part.file.close();
+			part = undefined;
+			state = 4;
+			throw e;
+		}
+	};
+};
+
+/**
+ * Serve a file from memory or disk
+ * @private
+ */
+WebServer.prototype.serveStatic = function (req, res, uri) {
+	var header = {'status': 200, 'Content-Type': this.type},
+		content = '';
+
 	try {
 		switch (req.method) {
 			case 'TRACE':
@@ -94,8 +789,32 @@ WebServer.prototype.router = function (req, res) {
 				break;
 
 			default:
-				var file = (this.memory && this.memory[uri.file])? this.memory[uri.file] : ((this.file_system)? this.getDiskFile(this.file_system + uri.pathname) : null);
-				
+				// serve 'file.gz' instead of 'file' if we have it and the client can handle it
+				var gzip = uri.isSsS < 0 && (getHeader(req, 'Accept-Encoding') || '').indexOf('gzip') >= 0,
+					file = null,
+					encoding;
+
+				if (this.memory) {
+					if (gzip && this.memory[uri.file + '.gz']) {
+						file = this.memory[uri.file + '.gz'];
+						encoding = 'gzip';
+					} else {
+						file = this.memory[uri.file];
+					}
+				}
+
+				if (!file && this.file_system) {
+					if (gzip) {
+						file = this.getDiskFile(this.file_system + uri.pathname + '.gz');
+						if (file.content) {
+							encoding = 'gzip';
+						} else {
+							file = null;
+						}
+					}
+					if (!file) file = this.getDiskFile(this.file_system + uri.pathname);
+				}
+
 				if (file) {
 					if (uri.isSsS > 0) {
 						if (typeof file.content == 'object') {
@@ -111,9 +830,34 @@ WebServer.prototype.router = function (req, res) {
 						content = file.content;
 						
 						if (file.header) {
-							header = file.header;
-						} else if (file.type) {
-							header['Content-Type'] = file.type;
+							// copy it, as we may add to it
+							header = {};
+							for (var h in file.header) header[h] = file.header[h];
+						} else {
+							header['Content-Type'] = file.type || mimeType(uri.file) || this.type;
+						}
+
+						if (encoding) {
+							header['Content-Encoding'] = encoding;
+							header['Vary'] = 'Accept-Encoding';
+						}
+
+						// caching - not for server side scripts, as their output changes
+						if (uri.isSsS < 0) {
+							if (file.size !== undefined) header['Content-Length'] = file.size;
+							if (file.mtime) header['Last-Modified'] = file.mtime.toUTCString();
+							if (this.cache_control) header['Cache-Control'] = this.cache_control;
+							// only work this out again if a memory file's content has changed
+							if (typeof content == 'string' && file.etagContent !== content) {
+								file.etag = '"' + (E.CRC32(content) >>> 0).toString(16) + '-' + content.length.toString(16) + '"';
+								file.etagContent = content;
+							}
+							if (file.etag) {
+								header['ETag'] = file.etag;
+								if ((getHeader(req, 'If-None-Match') || '').indexOf(file.etag) >= 0) {
+									header['status'] = 304;
+								}
+							}
 						}
 					}
 				}
@@ -123,21 +867,104 @@ WebServer.prototype.router = function (req, res) {
 					header['status'] = 404;
 					header['Content-Type'] = this.type;
 					content = this.not_found;
-				}
-
-				if (req.method == 'HEAD') {
-					content = '';
+				} else if (header['status'] == 200) {
+					content = this.range(req, header, content);
 				}
 		}
 	} catch (e) {
-		this.emit('error', e, this);
-		header['status'] = 500;
-		header['Content-Type'] = this.type;
-		content = e.type + ' on ' + uri.file + ': ' + e.msg;
+		return this.serveError(req, res, uri, e);
+	}
+
+	this.respond(req, res, header, content);
+};
+
+/**
+ * Handle a 'Range: bytes=start-end' header for content whose length we know,
+ * by setting the status to 206 (or 416 if it's not in the content) and
+ * returning just the part that was asked for
+ * @private
+ */
+WebServer.prototype.range = function (req, header, content) {
+	var size = header['Content-Length'],
+		range = getHeader(req, 'Range'),
+		ifRange = getHeader(req, 'If-Range'),
+		start, end;
+
+	if (typeof content == 'string') {
+		size = byteLength(content);
+		// we can only split strings where each character is a byte
+		if (size != content.length) return content;
+		header['Content-Length'] = size;
+	} else if (!content.seek) {
+		return content;
+	}
+	if (size === undefined) return content;
+	header['Accept-Ranges'] = 'bytes';
+
+	// we don't do multiple ranges - it's fine to just send everything instead
+	if (!range || range.substr(0, 6) != 'bytes=' || range.indexOf(',') >= 0) return content;
+	// only send part of it if it hasn't changed
+	if (ifRange && ifRange != header['ETag'] && ifRange != header['Last-Modified']) return content;
+
+	range = (range.substr(6) + '-').split('-');
+	if (range[0].trim() === '') {
+		// the last N bytes
+		start = Math.max(size - parseInt(range[1]), 0);
+		end = size - 1;
+	} else {
+		start = parseInt(range[0]);
+		end = range[1].trim() === '' ? size - 1 : Math.min(parseInt(range[1]), size - 1);
+	}
+	// a range that isn't made of numbers is ignored, like any other we can't do
+	if (isNaN(start) || isNaN(end)) return content;
+
+	if (!(start <= end)) {
+		header['status'] = 416;
+		header['Content-Range'] = 'bytes */' + size;
+		header['Content-Length'] = 0;
+		if (content.close) content.close();
+		return '';
+	}
+
+	header['status'] = 206;
+	header['Content-Range'] = 'bytes ' + start + '-' + end + '/' + size;
+	header['Content-Length'] = end - start + 1;
+	if (typeof content == 'string') return content.substr(start, end - start + 1);
+	content.seek(start);
+	return limitStream(content, end - start + 1);
+};
+
+/**
+ * Respond with an error - a 500 error unless it has a 'status'. It can be
+ * a bodyError, an Error, or anything else that was thrown
+ * @private
+ */
+WebServer.prototype.serveError = function (req, res, uri, e) {
+	var type = (e && (e.type || e.name)) || 'Error',
+		msg = e && (e.msg || e.message);
+
+	this.emit('error', e, this);
+	this.respond(req, res, {'status': (e && e.status) || 500, 'Content-Type': this.type},
+		type + ' on ' + uri.file + ': ' + (msg === undefined ? e : msg));
+};
+
+/**
+ * Add the Content-Length and serve the content
+ * @private
+ */
+WebServer.prototype.respond = function (req, res, header, content) {
+	if (header['Content-Length'] === undefined && typeof content == 'string' && header['status'] != 304) {
+		header['Content-Length'] = byteLength(content);
 	}
 
-	if (!header['Content-Length'] && content.byteLength) {
-		header['Content-Length'] = content.byteLength();
+	if (header['status'] == 304) {
+		delete header['Content-Length'];
+	}
+
+	if (req.method == 'HEAD' || header['status'] == 304) {
+		// no body, so close any file we were going to send
+		if (content && content.close) content.close();
+		content = '';
 	}
 
 	this.serveContent(res, header, content);
@@ -162,6 +989,13 @@ WebServer.prototype.evalFile = function (file) {
 };
 
 WebServer.prototype.serveContent = function (res, header, content) {
+	// streams that we don't know the length of are sent in chunks
+	var chunked = typeof content == 'object' && !content.pipe && content.read && header['Content-Length'] === undefined;
+
+	if (chunked) {
+		header['Transfer-Encoding'] = 'chunked';
+	}
+
 	res.writeHead(header.status, header);
 
 	try {
@@ -174,6 +1008,8 @@ WebServer.prototype.serveContent = function (res, header, content) {
 					content = null;
 				}
 			});
+		} else if (content.read) {
+			this.pump(res, content, chunked);
 		} else {
 			res.end('');
 		}
@@ -182,12 +1018,50 @@ WebServer.prototype.serveContent = function (res, header, content) {
 	}
 };
 
+/**
+ * Send everything that can be read from a stream - an object with a read(bytes)
+ * method that returns undefined at the end, and optionally close()
+ * @private
+ */
+WebServer.prototype.pump = function (res, stream, chunked) {
+	var webs = this;
+
+	function send() {
+		try {
+			var data;
+
+			do {
+				data = stream.read(CHUNK_SIZE);
+				if (!data) {
+					res.removeListener('drain', send);
+					if (stream.close) stream.close();
+					res.end(chunked ? '0\r\n\r\n' : '');
+					return;
+				}
+				if (chunked) {
+					data = byteLength(data).toString(16) + '\r\n' + data + '\r\n';
+				}
+			// Espruino asks for more with a 'drain' event, Node.js returns true if it can take more now
+			} while (res.write(data));
+		} catch (e) {
+			res.removeListener('drain', send);
+			webs.emit('error', e, webs);
+			res.end();
+		}
+	}
+
+	res.on('drain', send);
+	send();
+};
+
 WebServer.prototype.getDiskFile = function (path) {
-	var file, fileType, content, type;
+	var fs = require('fs'),
+		file, fileType, content, type, stat;
 
 	try {
-		if ((file = E.openFile(path, 'r')) != 'undefined') {
-				if ((fileType = E.openFile(path + '.type', 'r')) != 'undefined') {
+		stat = fs.statSync(path);
+		if (stat && !stat.dir && (file = E.openFile(path, 'r')) != 'undefined') {
+				if (fs.statSync(path + '.type') && (fileType = E.openFile(path + '.type', 'r')) != 'undefined') {
 					type = fileType.read(55);
 					fileType.close();
 					fileType = null;
@@ -199,7 +1073,15 @@ WebServer.prototype.getDiskFile = function (path) {
 		this.emit('error', e, this);
 	}
 
-	return {content: content, type: type};
+	if (!content) return {};
+
+	return {
+		content: content,
+		type: type,
+		size: stat.size,
+		mtime: stat.mtime,
+		etag: '"' + stat.size.toString(16) + '-' + stat.mtime.getTime().toString(16) + '"'
+	};
 };
 
 WebServer.prototype.createServer = function () {
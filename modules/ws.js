@@ -63,13 +63,21 @@
 /** Minify String.fromCharCode() call */
 var strChr = String.fromCharCode;
 var crypto = require('crypto');
+/** How many HTTP redirects the client will follow */
+var MAX_REDIRECTS = 5;
 
+/** A random Sec-WebSocket-Key (16 bytes, base64 encoded), and the
+ Sec-WebSocket-Accept the server should reply with */
 function buildKey() {
-  var randomString = btoa(Math.random().toString(36).substr(2, 18));
-  var toHash = randomString + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+  var bytes = "";
+  for (var i=0;i<4;i++) {
+    var r = E.hwRand();
+    bytes += strChr(r&255, (r>>8)&255, (r>>16)&255, (r>>24)&255);
+  }
+  var key = btoa(bytes);
   return {
-    source: randomString,
-    hashed: btoa(crypto.SHA1(toHash))
+    source: key,
+    hashed: btoa(E.toString(crypto.SHA1(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')))
   }
 }
 
@@ -88,6 +96,7 @@ function WebSocket(host, options) {
   this.key = buildKey();
   this.connected = false || options.connected;
   this.headers = options.headers || {};
+  this.redirects = 0;
 }
 
 WebSocket.prototype.initializeConnection = function () {
@@ -100,13 +109,17 @@ WebSocket.prototype.initializeConnection = function () {
 WebSocket.prototype.onConnect = function (socket) {
   this.socket = socket;
   var ws = this;
-  socket.on('data', this.parseData.bind(this));
+  // ignore the old socket if we were redirected
+  socket.on('data', function (data) {
+    if (ws.socket===socket) ws.parseData(data);
+  });
   socket.on('close', function () {
+    if (ws.socket!==socket) return;
     if (ws.pingTimer) {
       clearInterval(ws.pingTimer);
       ws.pingTimer = undefined;
     }
-    ws.emit('close');
+    ws.onClose();
   });
 
   this.handshake();
@@ -115,7 +128,6 @@ WebSocket.prototype.onConnect = function (socket) {
 WebSocket.prototype.parseData = function (data) {
   // see https://developer.mozilla.org/en-US/docs/Web/API/WebSockets_API/Writing_WebSocket_servers
   // Note, docs specify bits 0-7, etc - but BIT 0 is the MSB, 7 is the LSB
-  var ws = this;
   this.emit('rawData', data);
 
   if (this.lastData.length) {
@@ -124,63 +136,180 @@ WebSocket.prototype.parseData = function (data) {
   }
 
   if (!this.connected) {
-    // FIXME - not a good idea!
-    if (data.indexOf(this.key.hashed) > -1 && data.indexOf('\r\n\r\n') > -1) {
-        this.emit('handshake');
-      this.pingTimer = setInterval(function () {
-        ws.send('ping', 0x89);
-      }, this.keepAlive);
-      data = data.substring(data.indexOf('\r\n\r\n') + 4);
-      this.connected = true;
-      this.emit('open');
+    var headerEnd = data.indexOf('\r\n\r\n');
+    if (headerEnd < 0) {
+      // wait for the rest of the HTTP response
+      this.lastData = data;
+      return;
     }
-    this.lastData = data;
-    return;
+    var lines = data.substr(0, headerEnd).split('\r\n');
+    data = data.substr(headerEnd + 4);
+    if (!this.handleResponse(lines)) return;
   }
 
   while (data.length) {
-    var offset = 2;
+    var fin = data.charCodeAt(0)&128;
     var opcode = data.charCodeAt(0)&15;
+    var masked = data.charCodeAt(1)&128;
     var dataLen = data.charCodeAt(1)&127;
+    var offset = 2;
+    if (dataLen==126) offset += 2;
+    else if (dataLen==127) offset += 8;
+    if (data.length < offset) {
+      this.lastData = data; // not even the whole header yet
+      return;
+    }
     if (dataLen==126) {
       dataLen = data.charCodeAt(3) | (data.charCodeAt(2)<<8);
-      offset += 2;
-    } else if (dataLen==127) throw "Messages >65535 in length unsupported";
-    var pktLen = dataLen+offset+((data.charCodeAt(1)&128)?4/*mask*/:0);
+    } else if (dataLen==127) {
+      // 64 bit length - we only use the bottom 32 bits, as we'd never have the memory for more
+      dataLen = ((data.charCodeAt(6)<<24) | (data.charCodeAt(7)<<16) | (data.charCodeAt(8)<<8) | data.charCodeAt(9))>>>0;
+    }
+    var pktLen = dataLen+offset+(masked?4/*mask*/:0);
     if (pktLen > data.length) {
       // we received the start of a packet, but not enough of it for a full message.
       // store it for later, so when we get the next packet we can do the whole message
       this.lastData = data;
       return;
     }
+    var mask = [ 0,0,0,0 ];
+    if (masked)
+      mask = [ data.charCodeAt(offset++), data.charCodeAt(offset++),
+               data.charCodeAt(offset++), data.charCodeAt(offset++)];
+    var msg = "";
+    for (var i = 0; i < dataLen; i++)
+      msg += strChr(data.charCodeAt(offset++) ^ mask[i&3]);
+    data = data.substr(pktLen);
 
     switch (opcode) {
       case 0xA:
         this.emit('pong');
         break;
       case 0x9:
-        this.send('pong', 0x8A);
+        this.send(msg, 0x8A); // pongs must contain the ping's data
         this.emit('ping');
         break;
       case 0x8:
+        // the status code (if there is one) is followed by a reason
+        this.closeCode = msg.length>=2 ? (msg.charCodeAt(0)<<8 | msg.charCodeAt(1)) : 1005;
+        this.closeReason = msg.substr(2);
+        // reply if we didn't start the close, then close the connection
+        if (!this.closeSent) this.send(msg.substr(0,2), 0x88);
+        this.closeSent = true;
         this.socket.end();
-        break;
+        return;
       case 0:
-      case 1:
-        var mask = [ 0,0,0,0 ];
-        if (data.charCodeAt(1)&128 /* mask */)
-          mask = [ data.charCodeAt(offset++), data.charCodeAt(offset++),
-                   data.charCodeAt(offset++), data.charCodeAt(offset++)];
-        var msg = "";
-        for (var i = 0; i < dataLen; i++)
-          msg += String.fromCharCode(data.charCodeAt(offset++) ^ mask[i&3]);
-        this.emit('message', msg);
+        // continuation of a fragmented message
+        if (this.fragment===undefined) return this.close(1002, "Unexpected continuation");
+        this.fragment += msg;
+        if (fin) {
+          msg = this.fragment;
+          this.fragment = undefined;
+          this.onMessage(msg, this.fragmentOpcode);
+        }
+        break;
+      case 1: // text
+      case 2: // binary
+        if (fin) this.onMessage(msg, opcode);
+        else {
+          this.fragment = msg;
+          this.fragmentOpcode = opcode;
+        }
         break;
       default:
         console.log("WS: Unknown opcode "+opcode);
-      }
-      data = data.substr(pktLen);
     }
+  }
+};
+
+/** A whole message has been received - binary messages are given as ArrayBuffers
+ @private */
+WebSocket.prototype.onMessage = function (msg, opcode) {
+  if (opcode==2) this.emit('message', E.toArrayBuffer(msg), true);
+  else this.emit('message', msg);
+};
+
+/** The connection has closed - emit 'close' with the status code and reason
+ @private */
+WebSocket.prototype.onClose = function () {
+  if (this.closeTimer) clearTimeout(this.closeTimer);
+  this.closeTimer = undefined;
+  // 1006 means the connection closed without a close frame
+  this.emit('close', this.closeCode || 1006, this.closeReason || "");
+};
+
+/** Check the server's HTTP response to our upgrade request (as an array
+ of lines). Returns true if the websocket is now open
+ @private */
+WebSocket.prototype.handleResponse = function (lines) {
+  var ws = this;
+  var status = parseInt(lines[0].split(" ")[1]);
+  var headers = {};
+  for (var i=1;i<lines.length;i++) {
+    var colon = lines[i].indexOf(":");
+    if (colon>0)
+      headers[lines[i].substr(0,colon).trim().toLowerCase()] = lines[i].substr(colon+1).trim();
+  }
+  this.responseHeaders = headers;
+
+  var error;
+  var selected = headers["sec-websocket-protocol"];
+  var requested = this.protocol ? this.protocol.toString().split(",").map(function(p) {
+    return p.trim();
+  }) : [];
+  if (status>=300 && status<400 && headers.location) {
+    if (this.redirects >= MAX_REDIRECTS) error = "Too many redirects";
+    else error = this.redirect(headers.location);
+    if (!error) return false;
+  } else if (status!=101) {
+    error = "Unexpected response: "+lines[0];
+  } else if ((headers.upgrade||"").toLowerCase()!="websocket" ||
+             (headers.connection||"").toLowerCase().indexOf("upgrade")<0) {
+    error = "Connection not upgraded";
+  } else if (headers["sec-websocket-accept"]!==this.key.hashed) {
+    error = "Invalid Sec-WebSocket-Accept";
+  } else if (selected!==undefined && requested.indexOf(selected)<0) {
+    error = "Server chose unrequested protocol "+selected;
+  }
+  if (error) {
+    this.emit('error', error);
+    this.socket.end();
+    return false;
+  }
+
+  this.selectedProtocol = selected || "";
+  this.emit('handshake');
+  this.pingTimer = setInterval(function () {
+    ws.send('ping', 0x89);
+  }, this.keepAlive);
+  this.connected = true;
+  this.emit('open');
+  return true;
+};
+
+/** Reconnect to the URL we were redirected to - either a path on the same
+ server, or ws://host[:port]/path. Returns an error string if we can't
+ @private */
+WebSocket.prototype.redirect = function (location) {
+  if (location[0]!="/") {
+    if (location.substr(0,5)!="ws://") return "Can't redirect to "+location;
+    location = location.substr(5);
+    var slash = location.indexOf("/");
+    if (slash<0) slash = location.length;
+    var host = location.substr(0, slash);
+    var colon = host.indexOf(":");
+    this.host = colon<0 ? host : host.substr(0, colon);
+    this.port = colon<0 ? 80 : parseInt(host.substr(colon+1));
+    location = location.substr(slash) || "/";
+  }
+  this.path = location;
+  this.redirects++;
+  var socket = this.socket;
+  this.socket = null; // so the old socket closing doesn't emit 'close'
+  socket.end();
+  this.lastData = "";
+  this.key = buildKey();
+  this.initializeConnection();
 };
 
 WebSocket.prototype.handshake = function () {
@@ -204,19 +333,26 @@ WebSocket.prototype.handshake = function () {
   this.socket.write(socketHeader.join("\r\n")+"\r\n\r\n");
 };
 
-/** Send message based on opcode type */
+/** Send message based on opcode type. If no opcode is given, strings are
+ sent as text and ArrayBuffers (or typed arrays) as binary */
 WebSocket.prototype.send = function (msg, opcode) {
-  opcode = opcode === undefined ? 0x81 : opcode;
-  var size = msg.length;
-  if (msg.length>125) {
-    size = 126;
+  if (opcode === undefined) {
+    opcode = 0x81;
+    if (msg instanceof ArrayBuffer || msg.buffer instanceof ArrayBuffer) {
+      opcode = 0x82;
+      msg = E.toString(msg);
+    }
   }
-  this.socket.write(strChr(opcode, size + ( this.masking ? 128 : 0 )));
-
-  if (size == 126) {
-    // Need to write extra bytes for longer messages
-    this.socket.write(strChr(msg.length >> 8));
-    this.socket.write(strChr(msg.length));
+  var size = msg.length;
+  var maskBit = this.masking ? 128 : 0;
+  if (size>65535) {
+    // 64 bit length - the top 32 bits are always 0
+    this.socket.write(strChr(opcode, 127 + maskBit, 0, 0, 0, 0,
+                             (size>>24)&255, (size>>16)&255, (size>>8)&255, size&255));
+  } else if (size>125) {
+    this.socket.write(strChr(opcode, 126 + maskBit, size>>8, size&255));
+  } else {
+    this.socket.write(strChr(opcode, size + maskBit));
   }
 
   if (this.masking) {
@@ -235,8 +371,31 @@ WebSocket.prototype.send = function (msg, opcode) {
   }
 };
 
-WebSocket.prototype.close = function() {
-  this.socket.end();
+/** Start the close handshake, with an optional status code (eg. 1000) and reason.
+ The other end should reply, and then the connection is closed */
+WebSocket.prototype.close = function(code, reason) {
+  if (this.closeSent) return;
+  this.closeSent = true;
+  this.send(code ? strChr(code>>8, code&255)+(reason||"") : "", 0x88);
+  // give up waiting for a reply after a while
+  var ws = this;
+  this.closeTimer = setTimeout(function() {
+    ws.closeTimer = undefined;
+    ws.socket.end();
+  }, 5000);
+};
+
+/** Add this websocket to a named room, so server.broadcast can send to just the sockets in it (server only) */
+WebSocket.prototype.join = function(room) {
+  if (!this.rooms) throw new Error("Only websockets from createServer can join rooms");
+  if (this.rooms.indexOf(room)<0) this.rooms.push(room);
+};
+
+/** Remove this websocket from a named room (server only) */
+WebSocket.prototype.leave = function(room) {
+  if (!this.rooms) throw new Error("Only websockets from createServer can leave rooms");
+  var idx = this.rooms.indexOf(room);
+  if (idx>=0) this.rooms.splice(idx, 1);
 };
 
 /** Create a WebSocket client */
@@ -246,28 +405,40 @@ exports = function (host, options) {
   return ws;
 };
 
-/** Create a WebSocket server */
+/** Create a WebSocket server. Connected websockets are kept in server.clients */
 exports.createServer = function(callback, wscallback) {
   var server = require('http').createServer(function (req, res) {
     if (req.headers.Connection && req.headers.Connection.indexOf("Upgrade")>=0) {
       var key = req.headers["Sec-WebSocket-Key"];
       var accept = btoa(E.toString(crypto.SHA1(key+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11")));
-      res.writeHead(101, {
+      var resHeaders = {
           'Upgrade': 'websocket',
           'Connection': 'Upgrade',
-          'Sec-WebSocket-Accept': accept,
-          'Sec-WebSocket-Protocol': req.headers["Sec-WebSocket-Protocol"]
-      });
+          'Sec-WebSocket-Accept': accept
+      };
+      // the client may ask for a list of protocols - we choose the first
+      var protocol = (req.headers["Sec-WebSocket-Protocol"]||"").split(",")[0].trim();
+      if (protocol) resHeaders['Sec-WebSocket-Protocol'] = protocol;
+      res.writeHead(101, resHeaders);
 
       var ws = new WebSocket(undefined, { masking : false, connected : true });
       ws.socket = res;
+      ws.selectedProtocol = protocol;
+      // details of the request that opened the websocket
+      ws.url = req.url;
+      ws.path = req.url.split("?")[0];
+      ws.headers = req.headers;
+      ws.rooms = [];
+      server.clients.push(ws);
       req.on('data', ws.parseData.bind(ws) );
       req.on('close', function() {
         // if srvPing is undefined, we already emitted a 'close'
         clearInterval(ws.srvPing);
         ws.srvPing = undefined;
+        var idx = server.clients.indexOf(ws);
+        if (idx>=0) server.clients.splice(idx, 1);
         // emit websocket close event
-        ws.emit('close');
+        ws.onClose();
       });
       /** Start a server ping at the keepAlive interval  **/
       ws.srvPing = setInterval(function () {
@@ -277,5 +448,16 @@ exports.createServer = function(callback, wscallback) {
       server.emit("websocket", ws);
     } else callback(req, res);
   });
+  server.clients = [];
+  /** Send a message to every connected websocket. If filter is a string, only
+   sockets that have joined the room with that name get the message. It can
+   also be a function(ws) that returns true for the sockets to send to */
+  server.broadcast = function(msg, filter) {
+    server.clients.forEach(function(ws) {
+      if (ws.closeSent) return;
+      if (typeof filter=="string" ? ws.rooms.indexOf(filter)<0 : (filter && !filter(ws))) return;
+      ws.send(msg);
+    });
+  };
   return server;
 };
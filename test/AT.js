@@ -0,0 +1,54 @@
+var test = require("node:test");
+var assert = require("assert");
+var helpers = require("./helpers.js");
+
+test("AT sends a command and gets the reply line", function() {
+  var env = helpers.create();
+  var at = env.require("AT").connect(env.Serial1);
+  var replies = [];
+  at.cmd("AT\r\n", 1000, function(d) { replies.push(d); });
+  assert.strictEqual(env.Serial1.takeOutput(), "AT\r\n");
+  assert.ok(at.isBusy());
+  env.Serial1.inject("OK\r\n", 1); // one character at a time
+  assert.deepStrictEqual(replies, ["OK"]);
+  assert.ok(!at.isBusy());
+});
+
+test("AT queues commands until the last one has finished", function() {
+  var env = helpers.create();
+  var at = env.require("AT").connect(env.Serial1);
+  var replies = [];
+  at.cmd("AT+A\r\n", 1000, function(d) {
+    replies.push(d);
+    // keep listening until we get OK
+    if (d!="OK") return function(d) { replies.push(d); };
+  });
+  at.cmd("AT+B\r\n", 1000, function(d) { replies.push(d); });
+  assert.strictEqual(env.Serial1.takeOutput(), "AT+A\r\n");
+  env.Serial1.inject("+A:1\r\nOK\r\n");
+  assert.strictEqual(env.Serial1.takeOutput(), "AT+B\r\n");
+  env.Serial1.inject("ERROR\r\n");
+  assert.deepStrictEqual(replies, ["+A:1", "OK", "ERROR"]);
+});
+
+test("AT calls back with undefined on timeout", function() {
+  var env = helpers.create();
+  var at = env.require("AT").connect(env.Serial1);
+  var replies = [];
+  at.cmd("AT\r\n", 500, function(d) { replies.push(d); });
+  env.advance(499);
+  assert.deepStrictEqual(replies, []);
+  env.advance(1);
+  assert.deepStrictEqual(replies, [undefined]);
+  assert.ok(!at.isBusy());
+});
+
+test("AT passes registered lines to their handler", function() {
+  var env = helpers.create();
+  var at = env.require("AT").connect(env.Serial1);
+  var lines = [], result;
+  at.cmdReg("AT+CWLAP\r\n", 1000, "+CWLAP:", function(l) { lines.push(l); }, function(d) { result = d; });
+  env.Serial1.inject("+CWLAP:(3,\"a\")\r\n+CWLAP:(4,\"b\")\r\nOK\r\n");
+  assert.deepStrictEqual(lines, ["+CWLAP:(3,\"a\")", "+CWLAP:(4,\"b\")"]);
+  assert.strictEqual(result, "OK");
+});
@@ -0,0 +1,57 @@
+var test = require("node:test");
+var assert = require("assert");
+var helpers = require("./helpers.js");
+
+// Calibration and readings from the BMP280 datasheet's example (section 8.2),
+// so we know the temperature and pressure we should get. Humidity isn't in
+// that example, so its calibration values are made up
+function createRegisters() {
+  var regs = { 0xD0 : 0x60 };
+  function s16(reg, value) {
+    regs[reg] = value & 255;
+    regs[reg+1] = (value >> 8) & 255;
+  }
+  [27504, 26435, -1000, 36477, -10685, 3024, 2855, 140, -7, 15500, -14600, 6000].forEach(function(v, i) {
+    s16(0x88+i*2, v);
+  });
+  // humidity: H1=75, H2=370, H3=0, H4=313, H5=50, H6=30
+  regs[0xA1] = 75;
+  s16(0xE1, 370);
+  regs[0xE3] = 0;
+  regs[0xE4] = 313 >> 4;
+  regs[0xE5] = (313 & 15) | ((50 & 15) << 4);
+  regs[0xE6] = 50 >> 4;
+  regs[0xE7] = 30;
+  // adc_P = 415148, adc_T = 519888, adc_H = 30000
+  [0x65, 0x5A, 0xC0, 0x7E, 0xED, 0x00, 30000>>8, 30000&255].forEach(function(v, i) {
+    regs[0xF7+i] = v;
+  });
+  return regs;
+}
+
+function checkData(data) {
+  assert.ok(Math.abs(data.temp-25.08) < 0.01, "temp "+data.temp);
+  assert.ok(Math.abs(data.pressure-1006.53) < 0.01, "pressure "+data.pressure);
+  // the datasheet's integer formula gives 57552 (in 1/1024ths of a %) for adc_H = 30000
+  assert.strictEqual(data.humidity, 57552/1024, "humidity "+data.humidity);
+}
+
+test("BME280 over I2C configures the sensor and converts readings", function() {
+  var env = helpers.create();
+  env.I2C1.addDevice(0x76, env.createRegisterDevice(createRegisters()));
+  var bme = env.require("BME280").connect(env.I2C1);
+  var writes = env.I2C1.log.filter(function(l) { return l.write && l.write.length==2; });
+  assert.deepStrictEqual(writes.map(function(l) { return l.write; }), [[0xF2, 1], [0xF4, 0x27], [0xF5, 0xA0]]);
+  checkData(bme.getData());
+});
+
+test("BME280 over SPI reads the same values", function() {
+  var env = helpers.create();
+  // over SPI, the register address is only 7 bits
+  var regs = createRegisters(), spiRegs = {};
+  for (var r in regs) spiRegs[r & 0x7F] = regs[r];
+  var device = env.SPI1.addDevice(env.B1, env.createRegisterDevice(spiRegs));
+  var bme = env.require("BME280").connectSPI(env.SPI1, env.B1);
+  assert.strictEqual(device.registers[0x74], 0x27); // 0xF4 with the read bit cleared
+  checkData(bme.getData());
+});
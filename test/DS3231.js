@@ -0,0 +1,20 @@
+var test = require("node:test");
+var assert = require("assert");
+var helpers = require("./helpers.js");
+
+test("DS3231 reads the BCD date and time", function() {
+  var env = helpers.create();
+  env.I2C1.addDevice(0x68, env.createRegisterDevice([0x45, 0x30, 0x12, 0x03, 0x25, 0x12, 0x17]));
+  var rtc = env.require("DS3231").connect(env.I2C1, { DST : false });
+  assert.strictEqual(rtc.readDateTime(), "25/12/17 12:30:45");
+});
+
+test("DS3231 sets the time and day of the week", function() {
+  var env = helpers.create();
+  var device = env.I2C1.addDevice(0x68, env.createRegisterDevice([0x45, 0x30, 0x12, 0x03, 0x25, 0x12, 0x17]));
+  var rtc = env.require("DS3231").connect(env.I2C1, { DST : false });
+  rtc.setTime(9, 5);
+  rtc.setDow("Friday");
+  assert.deepStrictEqual(device.registers.slice(0, 4), [0, 0x05, 0x09, 5]);
+  assert.strictEqual(rtc.readDateTime(), "25/12/17 09:05:00");
+});
@@ -0,0 +1,536 @@
+var test = require("node:test");
+var assert = require("assert");
+var helpers = require("./helpers.js");
+var bytes = helpers.bytes;
+var plain = helpers.plain;
+
+// Create an MQTT client connected to a fake socket
+function connect(options) {
+  var env = helpers.create();
+  var socket = helpers.createSocket(env);
+  var mqtt = env.require("MQTT").create("server", options || { client_id : "abc" });
+  mqtt.connect(socket);
+  return { env : env, socket : socket, mqtt : mqtt };
+}
+
+test("MQTT sends CONNECT and is connected after CONNACK", function() {
+  var c = connect();
+  var connected = false;
+  c.mqtt.on("connected", function() { connected = true; });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x10, 15, 0, 4) + "MQTT" + bytes(4, 0x02, 0, 60, 0, 3) + "abc");
+  c.socket.emit("data", bytes(0x20, 2, 0, 0));
+  assert.ok(connected);
+  assert.ok(c.mqtt.connected);
+});
+
+test("MQTT reports a refused connection", function() {
+  var c = connect();
+  var errors = [];
+  c.mqtt.on("error", function(e) { errors.push(e); });
+  c.socket.emit("data", bytes(0x20, 2, 0, 5));
+  assert.deepStrictEqual(errors, ["Connection refused, not authorized."]);
+  assert.ok(!c.mqtt.connected);
+});
+
+test("MQTT publishes and receives QoS 0 messages", function() {
+  var c = connect();
+  var messages = [];
+  c.mqtt.on("message", function(topic, message) { messages.push([topic, message]); });
+  c.socket.emit("data", bytes(0x20, 2, 0, 0));
+  c.socket.take();
+  c.mqtt.publish("a/b", "hi");
+  assert.strictEqual(c.socket.take(), bytes(0x30, 7, 0, 3) + "a/bhi");
+  c.socket.emit("data", bytes(0x30, 8, 0, 3) + "c/dhey");
+  assert.deepStrictEqual(messages, [["c/d", "hey"]]);
+});
+
+test("MQTT disconnects if there's no CONNACK", function() {
+  var c = connect();
+  c.env.advance(c.mqtt.C.CONNECT_TIMEOUT-1);
+  assert.ok(!c.socket.ended);
+  c.env.advance(1);
+  assert.ok(c.socket.ended);
+  assert.strictEqual(c.mqtt.client, false);
+  assert.deepStrictEqual(c.env.getTimers(), []);
+});
+
+// QoS 1 and 2 *********************************
+
+// connect() and accept the connection
+function connected(options) {
+  var c = connect(options);
+  c.socket.emit("data", bytes(0x20, 2, 0, 0));
+  c.socket.take();
+  return c;
+}
+
+test("MQTT QoS 1 publish completes on PUBACK", function() {
+  var c = connected();
+  var results = [], published = [];
+  c.mqtt.on("published", function(p) { published.push(p.pid); });
+  var pid = c.mqtt.publish("a/b", "hi", 1, function(err) { results.push(err); });
+  assert.strictEqual(pid, 1);
+  assert.strictEqual(c.socket.take(), bytes(0x32, 9, 0, 3) + "a/b" + bytes(0, 1) + "hi");
+  // an ack for a different packet is ignored
+  c.socket.emit("data", bytes(0x40, 2, 0, 2));
+  assert.deepStrictEqual(results, []);
+  c.socket.emit("data", bytes(0x40, 2, 0, 1));
+  assert.deepStrictEqual(results, [undefined]);
+  assert.deepStrictEqual(published, [1]);
+  assert.deepStrictEqual(plain(c.mqtt.inflight), {});
+});
+
+test("MQTT QoS 2 publish sends PUBREL and completes on PUBCOMP", function() {
+  var c = connected();
+  var results = [];
+  var pid = c.mqtt.publish("t", "x", { qos : 2 }, function(err) { results.push(err); });
+  assert.strictEqual(c.socket.take(), bytes(0x34, 6, 0, 1) + "t" + bytes(0, pid) + "x");
+  c.socket.emit("data", bytes(0x50, 2, 0, pid));
+  assert.strictEqual(c.socket.take(), bytes(0x62, 2, 0, pid));
+  assert.deepStrictEqual(results, []);
+  c.socket.emit("data", bytes(0x70, 2, 0, pid));
+  assert.deepStrictEqual(results, [undefined]);
+});
+
+test("MQTT packet ids are unique while packets are in flight", function() {
+  var c = connected();
+  var a = c.mqtt.publish("t", "1", 1);
+  var b = c.mqtt.publish("t", "2", 1);
+  c.mqtt.subscribe("s", 1);
+  assert.deepStrictEqual([a, b, c.mqtt.packet_id], [1, 2, 3]);
+  // wraps around from 65535, skipping ids that are still in use
+  c.mqtt.packet_id = 65535;
+  assert.strictEqual(c.mqtt.newPacketId(), 4);
+});
+
+test("MQTT acknowledges received QoS 1 and 2 messages", function() {
+  var c = connected();
+  var messages = [];
+  c.mqtt.on("message", function(topic, message) { messages.push(message); });
+  c.socket.emit("data", bytes(0x32, 8, 0, 1) + "t" + bytes(0, 5) + "one");
+  assert.strictEqual(c.socket.take(), bytes(0x40, 2, 0, 5));
+  c.socket.emit("data", bytes(0x34, 8, 0, 1) + "t" + bytes(0, 7) + "two");
+  assert.strictEqual(c.socket.take(), bytes(0x50, 2, 0, 7));
+  // the server resends (with DUP) if it doesn't get PUBREC - deliver it once
+  c.socket.emit("data", bytes(0x3C, 8, 0, 1) + "t" + bytes(0, 7) + "two");
+  assert.strictEqual(c.socket.take(), bytes(0x50, 2, 0, 7));
+  c.socket.emit("data", bytes(0x62, 2, 0, 7));
+  assert.strictEqual(c.socket.take(), bytes(0x70, 2, 0, 7));
+  assert.deepStrictEqual(messages, ["one", "two"]);
+});
+
+test("MQTT subscribe and unsubscribe complete on SUBACK and UNSUBACK", function() {
+  var c = connected();
+  var results = [];
+  c.mqtt.subscribe("a", 1, function(err, granted) {
+    results.push(["sub", err, plain(granted.map(function(s) { return s.qos; }))]);
+  });
+  assert.strictEqual(c.socket.take(), bytes(0x82, 6, 0, 1, 0, 1) + "a" + bytes(1));
+  c.socket.emit("data", bytes(0x90, 3, 0, 1, 1));
+  c.mqtt.unsubscribe("a", function(err) { results.push(["unsub", err]); });
+  assert.strictEqual(c.socket.take(), bytes(0xA2, 5, 0, 2, 0, 1) + "a");
+  c.socket.emit("data", bytes(0xB0, 2, 0, 2));
+  assert.deepStrictEqual(results, [["sub", undefined, [1]], ["unsub", undefined]]);
+});
+
+test("MQTT resends unacknowledged packets with DUP, then gives up", function() {
+  var c = connected();
+  var results = [];
+  c.mqtt.publish("t", "x", 1, function(err) { results.push(err); });
+  var packet = c.socket.take();
+  c.env.advance(c.mqtt.C.RETRY_INTERVAL*1000);
+  assert.strictEqual(c.socket.take(), bytes(0x3A) + packet.substr(1));
+  for (var i=1; i<c.mqtt.C.MAX_RETRIES; i++) c.env.advance(c.mqtt.C.RETRY_INTERVAL*1000);
+  assert.deepStrictEqual(results, []);
+  c.env.advance(c.mqtt.C.RETRY_INTERVAL*1000);
+  assert.deepStrictEqual(results, ["No acknowledgement for packet 1"]);
+  assert.deepStrictEqual(plain(c.mqtt.inflight), {});
+});
+
+// Will, retain and multi-topic subscribe ******
+
+test("MQTT sends the will in CONNECT", function() {
+  var c = connect({ client_id : "abc", will_topic : "dev/status", will_message : "offline", will_qos : 1, will_retain : true });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x10, 36, 0, 4) + "MQTT" + bytes(4, 0x2E, 0, 60) +
+    bytes(0, 3) + "abc" + bytes(0, 10) + "dev/status" + bytes(0, 7) + "offline");
+});
+
+test("MQTT sends username and password in CONNECT", function() {
+  var c = connect({ client_id : "abc", username : "user", password : "pw" });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x10, 25, 0, 4) + "MQTT" + bytes(4, 0xC2, 0, 60) +
+    bytes(0, 3) + "abc" + bytes(0, 4) + "user" + bytes(0, 2) + "pw");
+});
+
+test("MQTT publishes retained messages", function() {
+  var c = connected();
+  c.mqtt.publish("dev/status", "online", { qos : 0, retain : true });
+  assert.strictEqual(c.socket.take(), bytes(0x31, 18, 0, 10) + "dev/status" + "online");
+  c.mqtt.publish("t", "x", { qos : 1, retain : true });
+  assert.strictEqual(c.socket.take().charCodeAt(0), 0x33);
+});
+
+test("MQTT subscribes to several topics in one packet", function() {
+  var c = connected();
+  var granted;
+  c.mqtt.subscribe(["a", "b/#"], 1, function(err, subs) { granted = plain(subs); });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x82, 12, 0, 1) + bytes(0, 1) + "a" + bytes(1) + bytes(0, 3) + "b/#" + bytes(1));
+  c.socket.emit("data", bytes(0x90, 4, 0, 1, 1, 0x80));
+  assert.deepStrictEqual(granted.map(function(s) { return [s.topic, s.qos]; }), [["a", 1], ["b/#", 128]]);
+  // only the ones that were granted are subscribed to again after reconnecting
+  assert.deepStrictEqual(plain(c.mqtt.subscriptions), { a : 1 });
+  // or an object of topic : qos
+  c.mqtt.subscribe({ x : 0, y : 2 });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x82, 10, 0, 2) + bytes(0, 1) + "x" + bytes(0) + bytes(0, 1) + "y" + bytes(2));
+});
+
+test("MQTT unsubscribes from several topics in one packet", function() {
+  var c = connected();
+  c.mqtt.unsubscribe(["a", "b/#"]);
+  assert.strictEqual(c.socket.take(), bytes(0xA2, 10, 0, 1) + bytes(0, 1) + "a" + bytes(0, 3) + "b/#");
+});
+
+// Stream parsing ******************************
+
+test("MQTT handles packets split across 'data' events", function() {
+  var c = connect();
+  var messages = [];
+  c.mqtt.on("message", function(topic, message) { messages.push(message); });
+  var message = new Array(301).join("x");
+  // remaining length is 2 + 1 + 300 = 303 = 0xAF 0x02
+  var data = bytes(0x20, 2, 0, 0) + bytes(0x30, 0xAF, 0x02, 0, 1) + "t" + message;
+  for (var i=0; i<data.length; i++) c.socket.emit("data", data[i]);
+  assert.ok(c.mqtt.connected);
+  assert.deepStrictEqual(messages, [message]);
+  assert.strictEqual(c.mqtt.buffer, "");
+});
+
+test("MQTT handles several packets in one 'data' event", function() {
+  var c = connect();
+  var messages = [];
+  c.mqtt.on("message", function(topic, message) { messages.push(topic+"="+message); });
+  c.socket.emit("data", bytes(0x20, 2, 0, 0) +
+    bytes(0x30, 4, 0, 1) + "a1" +
+    bytes(0x30, 4, 0, 1) + "b2" +
+    bytes(0x30, 4, 0, 1)); // and the start of another
+  assert.deepStrictEqual(messages, ["a=1", "b=2"]);
+  c.socket.emit("data", "c3");
+  assert.deepStrictEqual(messages, ["a=1", "b=2", "c=3"]);
+});
+
+test("MQTT sends long messages with a multi-byte length", function() {
+  var c = connected();
+  var message = new Array(201).join("y");
+  c.mqtt.publish("t", message);
+  // 2 + 1 + 200 = 203 = 0xCB 0x01
+  assert.strictEqual(c.socket.take(), bytes(0x30, 0xCB, 0x01, 0, 1) + "t" + message);
+});
+
+test("MQTT replies to PINGREQ with PINGRESP", function() {
+  var c = connected();
+  c.socket.emit("data", bytes(0xC0, 0));
+  assert.strictEqual(c.socket.take(), bytes(0xD0, 0));
+});
+
+test("MQTT reports malformed packets", function() {
+  var c = connected();
+  var errors = [];
+  c.mqtt.on("error", function(e) { errors.push(e); });
+  // a topic that's longer than the packet
+  c.socket.emit("data", bytes(0x30, 4, 0, 9) + "ab");
+  assert.deepStrictEqual(errors, ["Malformed PUBLISH packet"]);
+  assert.ok(!c.socket.ended);
+  // a remaining length of more than 4 bytes - we can't find the next packet
+  c.socket.emit("data", bytes(0x30, 0x80, 0x80, 0x80, 0x80, 0x01));
+  assert.strictEqual(errors.length, 2);
+  assert.ok(/^Malformed packet/.test(errors[1]), errors[1]);
+  assert.ok(c.socket.ended);
+  assert.ok(!c.mqtt.connected);
+});
+
+// Reconnection ********************************
+
+// A client that connects with a fake 'net' module, which records the sockets it makes
+function reconnecting(options) {
+  var env = helpers.create();
+  var sockets = [];
+  env.addModule("net", { connect : function(opts, callback) {
+    if (env.netDown) throw new Error("No network");
+    var socket = helpers.createSocket(env);
+    sockets.push(socket);
+    env.context.setTimeout(callback, 10);
+    return socket;
+  }});
+  options = options || {};
+  options.client_id = "abc";
+  options.reconnect = true;
+  var mqtt = env.require("MQTT").create("server", options);
+  mqtt.connect();
+  env.advance(10);
+  sockets[0].emit("data", bytes(0x20, 2, 0, 0));
+  sockets[0].take();
+  return { env : env, sockets : sockets, mqtt : mqtt };
+}
+
+test("MQTT only sets the clean session flag if asked to", function() {
+  assert.strictEqual(connect({ client_id : "abc" }).socket.take().charCodeAt(9), 0x02);
+  assert.strictEqual(connect({ client_id : "abc", clean_session : true }).socket.take().charCodeAt(9), 0x02);
+  assert.strictEqual(connect({ client_id : "abc", clean_session : false }).socket.take().charCodeAt(9), 0x00);
+});
+
+test("MQTT reconnects and subscribes again", function() {
+  var c = reconnecting();
+  var events = [];
+  ["offline", "reconnect", "connected"].forEach(function(e) {
+    c.mqtt.on(e, function() { events.push(e); });
+  });
+  c.mqtt.subscribe("a/#", 1);
+  c.sockets[0].emit("data", bytes(0x90, 3, 0, 1, 1));
+  c.sockets[0].emit("end");
+  assert.deepStrictEqual(events, ["offline"]);
+  assert.ok(!c.mqtt.connected);
+  // the first retry is after half to all of reconnect_period
+  c.env.advance(1000);
+  assert.deepStrictEqual(events, ["offline", "reconnect"]);
+  assert.strictEqual(c.sockets.length, 2);
+  c.env.advance(10);
+  assert.strictEqual(c.sockets[1].take().charCodeAt(0), 0x10);
+  c.sockets[1].emit("data", bytes(0x20, 2, 0, 0)); // no session present
+  assert.deepStrictEqual(events, ["offline", "reconnect", "connected"]);
+  assert.strictEqual(c.sockets[1].take(), bytes(0x82, 8, 0, 2, 0, 3) + "a/#" + bytes(1));
+  // data from the old socket is ignored
+  var messages = 0;
+  c.mqtt.on("message", function() { messages++; });
+  c.sockets[0].emit("data", bytes(0x30, 4, 0, 1) + "ab");
+  assert.strictEqual(messages, 0);
+});
+
+test("MQTT doesn't subscribe again if the server kept the session", function() {
+  var c = reconnecting({ clean_session : false });
+  c.mqtt.subscribe("a", 1);
+  c.sockets[0].emit("data", bytes(0x90, 3, 0, 1, 1));
+  c.sockets[0].emit("close");
+  c.env.advance(1010);
+  assert.strictEqual(c.sockets[1].take().charCodeAt(9), 0x00);
+  c.sockets[1].emit("data", bytes(0x20, 2, 1, 0)); // session present
+  assert.strictEqual(c.sockets[1].take(), "");
+});
+
+test("MQTT queues publishes while offline and resends unacknowledged ones", function() {
+  var c = reconnecting({ queue_size : 2 });
+  var results = [];
+  c.mqtt.publish("t", "inflight", 1, function(err) { results.push("inflight:"+err); });
+  c.sockets[0].take();
+  c.sockets[0].emit("end");
+  assert.strictEqual(c.mqtt.publish("t", "1", 0, function(err) { results.push("1:"+err); }), undefined);
+  c.mqtt.publish("t", "2", 0, function(err) { results.push("2:"+err); });
+  c.mqtt.publish("t", "3", 0, function(err) { results.push("3:"+err); });
+  assert.deepStrictEqual(results, ["1:Offline queue full"]);
+  c.env.advance(1010);
+  c.sockets[1].take();
+  c.sockets[1].emit("data", bytes(0x20, 2, 0, 0));
+  assert.strictEqual(c.sockets[1].take(),
+    bytes(0x3A, 13, 0, 1) + "t" + bytes(0, 1) + "inflight" + // with DUP set
+    bytes(0x30, 4, 0, 1) + "t2" + bytes(0x30, 4, 0, 1) + "t3");
+  c.sockets[1].emit("data", bytes(0x40, 2, 0, 1));
+  assert.deepStrictEqual(results, ["1:Offline queue full", "2:undefined", "3:undefined", "inflight:undefined"]);
+});
+
+test("MQTT backs off exponentially while it can't reconnect", function() {
+  var c = reconnecting({ reconnect_period : 1000, reconnect_max_period : 4000 });
+  c.env.netDown = true;
+  c.sockets[0].emit("end");
+  [1000, 2000, 4000, 4000].forEach(function(period) {
+    var timers = c.env.getTimers().filter(function(t) { return t.id==c.mqtt.rctimo; });
+    assert.strictEqual(timers.length, 1);
+    var delay = timers[0].time - c.env.getTime()*1000;
+    assert.ok(delay >= period/2 && delay <= period, delay+" for "+period);
+    c.env.advance(delay);
+  });
+  // once we connect, we start again from reconnect_period
+  c.env.netDown = false;
+  c.env.advance(4000);
+  c.env.advance(10);
+  c.sockets[1].emit("data", bytes(0x20, 2, 0, 0));
+  assert.strictEqual(c.mqtt.reconnect_attempts, 0);
+});
+
+test("MQTT doesn't reconnect after disconnect()", function() {
+  var c = reconnecting();
+  c.mqtt.disconnect();
+  assert.strictEqual(c.sockets[0].take(), bytes(0xE0, 0));
+  assert.ok(c.sockets[0].ended);
+  c.sockets[0].emit("end");
+  c.env.advance(120000);
+  assert.strictEqual(c.sockets.length, 1);
+});
+
+// Topic router ********************************
+
+test("MQTT matchTopic handles + and # wildcards", function() {
+  var matchTopic = helpers.create().require("MQTT").protocol.matchTopic;
+  function match(filter, topic) {
+    var params = matchTopic(filter, topic);
+    return params && plain(params);
+  }
+  assert.deepStrictEqual(match("a/b", "a/b"), []);
+  assert.strictEqual(match("a/b", "a/c"), undefined);
+  assert.strictEqual(match("a/b", "a/b/c"), undefined);
+  assert.deepStrictEqual(match("home/+/temp", "home/kitchen/temp"), ["kitchen"]);
+  assert.deepStrictEqual(match("+/+", "x/y"), ["x", "y"]);
+  assert.strictEqual(match("home/+", "home/a/b"), undefined);
+  assert.deepStrictEqual(match("home/#", "home/a/b"), ["a/b"]);
+  assert.deepStrictEqual(match("home/#", "home"), [""]);
+  assert.deepStrictEqual(match("#", "a/b"), ["a/b"]);
+  // wildcards at the start don't match $SYS topics
+  assert.strictEqual(match("#", "$SYS/uptime"), undefined);
+  assert.strictEqual(match("+/uptime", "$SYS/uptime"), undefined);
+  assert.deepStrictEqual(match("$SYS/#", "$SYS/uptime"), ["uptime"]);
+});
+
+test("MQTT routes messages to handlers with the wildcard values", function() {
+  var c = connected();
+  var calls = [];
+  c.mqtt.route("home/+/temp", function(message, params, topic) {
+    calls.push(["temp", message, plain(params), topic]);
+  });
+  c.mqtt.route("home/#", function(message, params) {
+    calls.push(["all", message, plain(params)]);
+  });
+  c.socket.emit("data", bytes(0x30, 18, 0, 14) + "home/hall/temp" + "21");
+  c.socket.emit("data", bytes(0x30, 12, 0, 9) + "other/x/y" + "1");
+  assert.deepStrictEqual(calls, [
+    ["temp", "21", ["hall"], "home/hall/temp"],
+    ["all", "21", ["hall/temp"]]
+  ]);
+});
+
+test("MQTT route and unroute can subscribe and unsubscribe", function() {
+  var c = connected();
+  var calls = 0;
+  function handler() { calls++; }
+  c.mqtt.route("a/+", handler, { subscribe : true, qos : 1 });
+  assert.strictEqual(c.socket.take(), bytes(0x82, 8, 0, 1, 0, 3) + "a/+" + bytes(1));
+  c.mqtt.route("a/+", function() { calls += 10; });
+  c.socket.emit("data", bytes(0x30, 6, 0, 3) + "a/bx");
+  assert.strictEqual(calls, 11);
+  // just this handler
+  c.mqtt.unroute("a/+", handler);
+  c.socket.emit("data", bytes(0x30, 6, 0, 3) + "a/bx");
+  assert.strictEqual(calls, 21);
+  assert.strictEqual(c.socket.take(), "");
+  // all of them
+  c.mqtt.unroute("a/+", undefined, { unsubscribe : true });
+  c.socket.emit("data", bytes(0x30, 6, 0, 3) + "a/bx");
+  assert.strictEqual(calls, 21);
+  assert.strictEqual(c.socket.take(), bytes(0xA2, 7, 0, 2, 0, 3) + "a/+");
+});
+
+// MQTT 5 **************************************
+
+function connected5(options) {
+  options = options || {};
+  options.client_id = options.client_id || "abc";
+  options.protocol_level = 5;
+  var c = connect(options);
+  c.connect = c.socket.take();
+  c.socket.emit("data", bytes(0x20, 3, 0, 0, 0)); // no properties
+  return c;
+}
+
+test("MQTT 5 sends properties in CONNECT, including for the will", function() {
+  var c = connect({ client_id : "abc", protocol_level : 5,
+    properties : { sessionExpiryInterval : 3600, userProperties : { a : "b" } },
+    will_topic : "w", will_message : "bye", will_properties : { willDelayInterval : 10 } });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x10, 42, 0, 4) + "MQTT" + bytes(5, 0x06, 0, 60) +
+    bytes(12, 0x11, 0, 0, 0x0E, 0x10, 0x26, 0, 1) + "a" + bytes(0, 1) + "b" +
+    bytes(0, 3) + "abc" +
+    bytes(5, 0x18, 0, 0, 0, 10) + bytes(0, 1) + "w" + bytes(0, 3) + "bye");
+});
+
+test("MQTT 5 uses the CONNACK properties", function() {
+  var c = connect({ client_id : "", protocol_level : 5 });
+  c.socket.emit("data", bytes(0x20, 12, 0, 0, 9, 0x12, 0, 3) + "xyz" + bytes(0x22, 0, 5));
+  assert.ok(c.mqtt.connected);
+  assert.strictEqual(c.mqtt.client_id, "xyz");
+  assert.deepStrictEqual(plain(c.mqtt.server_properties), { assignedClientIdentifier : "xyz", topicAliasMaximum : 5 });
+});
+
+test("MQTT 5 reports the reason a connection was refused", function() {
+  var c = connect({ client_id : "abc", protocol_level : 5 });
+  var errors = [];
+  c.mqtt.on("error", function(e) { errors.push(e); });
+  c.socket.emit("data", bytes(0x20, 10, 0, 0x87, 7, 0x1F, 0, 4) + "nope");
+  assert.deepStrictEqual(errors, ["Connection refused, reason code 0x87 (nope)."]);
+});
+
+test("MQTT 5 publishes with properties and reports reason codes", function() {
+  var c = connected5();
+  var results = [];
+  c.mqtt.publish("t", "hi", { qos : 1, properties : { contentType : "a/b", messageExpiryInterval : 70000 } },
+    function(err, ack) { results.push([err, plain(ack)]); });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x32, 19, 0, 1) + "t" + bytes(0, 1) + bytes(11, 0x03, 0, 3) + "a/b" + bytes(0x02, 0, 1, 0x11, 0x70) + "hi");
+  // the short form of PUBACK means success
+  c.socket.emit("data", bytes(0x40, 2, 0, 1));
+  c.mqtt.publish("t", "x", 1, function(err, ack) { results.push([err, plain(ack)]); });
+  c.socket.emit("data", bytes(0x40, 11, 0, 2, 0x87, 7, 0x1F, 0, 4) + "nope");
+  assert.deepStrictEqual(results, [
+    [undefined, { reasonCode : 0, properties : {} }],
+    ["Reason code 0x87", { reasonCode : 0x87, properties : { reasonString : "nope" } }]
+  ]);
+});
+
+test("MQTT 5 sends topic aliases once the server knows them", function() {
+  var c = connected5();
+  c.mqtt.publish("long/topic", "1", { properties : { topicAlias : 1 } });
+  c.mqtt.publish("long/topic", "2", { properties : { topicAlias : 1 } });
+  assert.strictEqual(c.socket.take(),
+    bytes(0x30, 17, 0, 10) + "long/topic" + bytes(3, 0x23, 0, 1) + "1" +
+    bytes(0x30, 7, 0, 0) + bytes(3, 0x23, 0, 1) + "2");
+});
+
+test("MQTT 5 parses PUBLISH properties and received topic aliases", function() {
+  var c = connected5();
+  var pubs = [];
+  c.mqtt.on("publish", function(p) { pubs.push(plain(p)); });
+  var props = bytes(0x23, 0, 3) + bytes(0x26, 0, 1) + "k" + bytes(0, 1) + "v" +
+              bytes(0x26, 0, 1) + "k" + bytes(0, 1) + "w" + bytes(0x0B, 5, 0x0B, 6);
+  c.socket.emit("data", bytes(0x30, 4+1+props.length+1, 0, 2) + "in" + bytes(props.length) + props + "a");
+  // the same topic, with just the alias
+  c.socket.emit("data", bytes(0x30, 7, 0, 0, 3, 0x23, 0, 3) + "b");
+  assert.deepStrictEqual(pubs.map(function(p) { return [p.topic, p.message]; }), [["in", "a"], ["in", "b"]]);
+  assert.deepStrictEqual(pubs[0].properties, { topicAlias : 3, userProperties : { k : ["v", "w"] }, subscriptionIdentifier : [5, 6] });
+});
+
+test("MQTT 5 replies to requests with the correlation data", function() {
+  var c = connected5();
+  c.mqtt.on("publish", function(p) { c.mqtt.reply(p, "answer"); });
+  var props = bytes(0x08, 0, 1) + "r" + bytes(0x09, 0, 2) + "c1";
+  c.socket.emit("data", bytes(0x30, 4+1+props.length+3, 0, 2) + "in" + bytes(props.length) + props + "req");
+  assert.strictEqual(c.socket.take(), bytes(0x30, 15, 0, 1) + "r" + bytes(5, 0x09, 0, 2) + "c1" + "answer");
+});
+
+test("MQTT 5 subscribes with options and reports SUBACK reason codes", function() {
+  var c = connected5();
+  var granted;
+  c.mqtt.subscribe("s/#", { qos : 1, nl : true, rh : 2, properties : { subscriptionIdentifier : 7 } },
+    function(err, subs) { granted = plain(subs).map(function(s) { return s.qos; }); });
+  assert.strictEqual(c.socket.take(), bytes(0x82, 11, 0, 1, 2, 0x0B, 7, 0, 3) + "s/#" + bytes(0x25));
+  c.socket.emit("data", bytes(0x90, 4, 0, 1, 0, 0x87));
+  assert.deepStrictEqual(granted, [0x87]);
+  assert.deepStrictEqual(plain(c.mqtt.subscriptions), {});
+});
+
+test("MQTT 5 emits 'disconnect' with the server's reason", function() {
+  var c = connected5();
+  var reasons = [];
+  c.mqtt.on("disconnect", function(d) { reasons.push(plain(d)); });
+  c.socket.emit("data", bytes(0xE0, 2, 0x8B, 0));
+  assert.deepStrictEqual(reasons, [{ reasonCode : 0x8B, properties : {} }]);
+});
@@ -0,0 +1,243 @@
+var test = require("node:test");
+var assert = require("assert");
+var net = require("net");
+var mqtt = require("mqtt");
+var helpers = require("./helpers.js");
+var bytes = helpers.bytes;
+
+/* Start a broker on a real TCP port (chosen by the OS), so it can be tested
+ with the mqtt package from npm. Virtual time follows real time */
+function startBroker(options) {
+  var env = helpers.create();
+  var server;
+  env.addModule("net", { createServer : function(callback) {
+    server = net.createServer(function(sock) {
+      var socket = helpers.createSocket(env);
+      socket.write = function(d) { if (!sock.destroyed) sock.write(Buffer.from(String(d), "binary")); };
+      socket.end = function() { sock.end(); };
+      sock.on("data", function(d) { socket.emit("data", d.toString("binary")); });
+      sock.on("close", function() { socket.emit("close"); });
+      sock.on("error", function() {});
+      callback(socket);
+    });
+    return { listen : function() { server.listen(0, "127.0.0.1"); }, close : function() { server.close(); } };
+  }});
+  var broker = env.require("MQTTBroker").create(options);
+  broker.listen();
+  var start = Date.now();
+  var tick = setInterval(function() { env.advance(Date.now()-start-env.getTime()*1000); }, 20);
+  var clients = [];
+  return new Promise(function(resolve) {
+    server.on("listening", function() {
+      resolve({
+        env : env,
+        broker : broker,
+        // connect a client, and wait until it's connected
+        connect : function(options) {
+          options = Object.assign({ reconnectPeriod : 0 }, options);
+          var client = mqtt.connect("mqtt://127.0.0.1:"+server.address().port, options);
+          clients.push(client);
+          return new Promise(function(resolve, reject) {
+            client.on("connect", function() { resolve(client); });
+            client.on("error", reject);
+          });
+        },
+        stop : function() {
+          clients.forEach(function(c) { c.end(true); });
+          broker.close();
+          clearInterval(tick);
+        }
+      });
+    });
+  });
+}
+
+// Resolve with the next message the client receives, as [topic, message, packet]
+function nextMessage(client) {
+  return new Promise(function(resolve) {
+    client.once("message", function(topic, message, packet) {
+      resolve([topic, message.toString(), packet]);
+    });
+  });
+}
+
+function subscribe(client, topics) {
+  return new Promise(function(resolve, reject) {
+    client.subscribe(topics, function(err, granted) {
+      if (err) reject(err); else resolve(granted);
+    });
+  });
+}
+
+function publish(client, topic, message, opts) {
+  return new Promise(function(resolve, reject) {
+    client.publish(topic, message, opts || {}, function(err) {
+      if (err) reject(err); else resolve();
+    });
+  });
+}
+
+test("MQTTBroker sends retained messages to new subscribers", { timeout : 10000 }, async function() {
+  var b = await startBroker();
+  try {
+    b.broker.publish("status/board", "up", { retain : true, qos : 1 });
+    var pub = await b.connect({ clientId : "pub" });
+    await publish(pub, "status/pub", "online", { retain : true, qos : 1 });
+    var sub = await b.connect({ clientId : "sub" });
+    var messages = [];
+    sub.on("message", function(topic, message, packet) {
+      messages.push([topic, message.toString(), packet.retain]);
+    });
+    await subscribe(sub, { "status/#" : { qos : 0 } });
+    await new Promise(function(resolve) { setTimeout(resolve, 100); });
+    messages.sort();
+    assert.deepStrictEqual(messages, [["status/board", "up", true], ["status/pub", "online", true]]);
+    // an empty retained message removes it
+    await publish(pub, "status/pub", "", { retain : true });
+    await new Promise(function(resolve) { setTimeout(resolve, 50); });
+    assert.deepStrictEqual(Object.keys(b.broker.retained), ["status/board"]);
+  } finally {
+    b.stop();
+  }
+});
+
+test("MQTTBroker delivers messages that match wildcard subscriptions", { timeout : 10000 }, async function() {
+  var b = await startBroker();
+  try {
+    var sub = await b.connect({ clientId : "sub" });
+    var granted = await subscribe(sub, { "home/+/temp" : { qos : 1 }, "log/#" : { qos : 0 } });
+    assert.deepStrictEqual(granted.map(function(g) { return g.qos; }), [1, 0]);
+    var pub = await b.connect({ clientId : "pub" });
+    var messages = [];
+    sub.on("message", function(topic, message, packet) {
+      messages.push([topic, message.toString(), packet.qos]);
+    });
+    await publish(pub, "home/kitchen/temp", "21", { qos : 1 });
+    await publish(pub, "home/kitchen/humidity", "no");
+    await publish(pub, "log/a/b", "1", { qos : 1 });
+    var message = nextMessage(sub);
+    await publish(pub, "home/hall/temp", "19");
+    await message;
+    assert.deepStrictEqual(messages, [
+      ["home/kitchen/temp", "21", 1],
+      ["log/a/b", "1", 0],
+      ["home/hall/temp", "19", 0]
+    ]);
+  } finally {
+    b.stop();
+  }
+});
+
+test("MQTTBroker handles messages longer than 127 bytes", { timeout : 10000 }, async function() {
+  var b = await startBroker();
+  try {
+    var sub = await b.connect({ clientId : "sub" });
+    await subscribe(sub, { "big" : { qos : 1 } });
+    var pub = await b.connect({ clientId : "pub" });
+    var big = new Array(301).join("x");
+    var message = nextMessage(sub);
+    await publish(pub, "big", big, { qos : 1 });
+    assert.strictEqual((await message)[1], big);
+  } finally {
+    b.stop();
+  }
+});
+
+test("MQTTBroker completes QoS 2 publishes and delivers them at QoS 1", { timeout : 10000 }, async function() {
+  var b = await startBroker();
+  try {
+    var sub = await b.connect({ clientId : "sub" });
+    var granted = await subscribe(sub, { "q" : { qos : 2 } });
+    assert.strictEqual(granted[0].qos, 1);
+    var pub = await b.connect({ clientId : "pub" });
+    var message = nextMessage(sub);
+    await publish(pub, "q", "two", { qos : 2 }); // resolves after PUBCOMP
+    var received = await message;
+    assert.strictEqual(received[1], "two");
+    assert.strictEqual(received[2].qos, 1);
+  } finally {
+    b.stop();
+  }
+});
+
+test("MQTTBroker publishes the will when a client drops, but not when it disconnects", { timeout : 10000 }, async function() {
+  var b = await startBroker();
+  try {
+    var sub = await b.connect({ clientId : "sub" });
+    await subscribe(sub, { "will/#" : { qos : 0 } });
+    var messages = [];
+    sub.on("message", function(topic, message) { messages.push([topic, message.toString()]); });
+    var polite = await b.connect({ clientId : "polite", will : { topic : "will/polite", payload : "gone" } });
+    await new Promise(function(resolve) { polite.end(false, resolve); });
+    var rude = await b.connect({ clientId : "rude", will : { topic : "will/rude", payload : "gone" } });
+    var message = nextMessage(sub);
+    rude.stream.destroy();
+    await message;
+    assert.deepStrictEqual(messages, [["will/rude", "gone"]]);
+  } finally {
+    b.stop();
+  }
+});
+
+test("MQTTBroker refuses clients it doesn't authenticate, or that are over the limit", { timeout : 10000 }, async function() {
+  var b = await startBroker({ max_clients : 1, authenticate : function(id, username) { return username!=="bad"; } });
+  try {
+    await assert.rejects(b.connect({ clientId : "bad", username : "bad" }), /Not authorized/);
+    await b.connect({ clientId : "one" });
+    await assert.rejects(b.connect({ clientId : "two" }), /Server unavailable/);
+  } finally {
+    b.stop();
+  }
+});
+
+// Without a network - the broker with fake sockets and virtual time
+
+function fakeBroker() {
+  var env = helpers.create();
+  var listener;
+  env.addModule("net", { createServer : function(callback) {
+    listener = callback;
+    return { listen : function() {}, close : function() {} };
+  }});
+  var broker = env.require("MQTTBroker").create();
+  broker.listen();
+  return {
+    env : env,
+    broker : broker,
+    // a new connection that has sent CONNECT with the given keep-alive
+    connect : function(id, keepAlive) {
+      var socket = helpers.createSocket(env);
+      listener(socket);
+      socket.emit("data", bytes(0x10, 12+id.length, 0, 4) + "MQTT" + bytes(4, 2, 0, keepAlive, 0, id.length) + id);
+      return socket;
+    }
+  };
+}
+
+test("MQTTBroker drops clients that don't send anything within the keep-alive time", function() {
+  var b = fakeBroker();
+  var socket = b.connect("abc", 10);
+  assert.strictEqual(socket.take(), bytes(0x20, 2, 0, 0));
+  b.env.advance(14000);
+  socket.emit("data", bytes(0xC0, 0)); // PINGREQ
+  assert.strictEqual(socket.take(), bytes(0xD0, 0));
+  b.env.advance(15000);
+  assert.ok(!socket.ended);
+  b.env.advance(1000);
+  assert.ok(socket.ended);
+  assert.strictEqual(b.broker.clients.length, 0);
+});
+
+test("MQTTBroker resends QoS 1 messages that aren't acknowledged", function() {
+  var b = fakeBroker();
+  var socket = b.connect("abc", 0);
+  socket.emit("data", bytes(0x82, 6, 0, 1, 0, 1) + "t" + bytes(1));
+  socket.take();
+  b.broker.publish("t", "x", { qos : 1 });
+  assert.strictEqual(socket.take(), bytes(0x32, 6, 0, 1) + "t" + bytes(0, 1) + "x");
+  b.env.advance(b.broker.C.RETRY_INTERVAL*1000+1000);
+  assert.strictEqual(socket.take(), bytes(0x3A, 6, 0, 1) + "t" + bytes(0, 1) + "x");
+  socket.emit("data", bytes(0x40, 2, 0, 1));
+  b.env.advance(b.broker.C.RETRY_INTERVAL*1000+1000);
+  assert.strictEqual(socket.take(), "");
+});
@@ -0,0 +1,503 @@
+var test = require("node:test");
+var assert = require("assert");
+var vm = require("vm");
+var url = require("url");
+var crypto = require("crypto");
+var helpers = require("./helpers.js");
+var plain = helpers.plain;
+
+// A WebServer in a fake environment, with the 'url' and 'hashlib' it needs
+function createServer(cfg) {
+  var env = helpers.create();
+  env.context.url = { parse : function(u, parseQuery) {
+    var r = url.parse(u, parseQuery);
+    return vm.runInContext("(" + JSON.stringify({ pathname : r.pathname, query : Object.assign({}, r.query) }) + ")", env.context);
+  }};
+  env.context.hashlib = { sha256 : function() {
+    var hash = crypto.createHash("sha256");
+    return {
+      block_size : 64,
+      update : function(s) { hash.update(s, "binary"); },
+      digest : function() { return hash.digest("binary"); }
+    };
+  }};
+  var WebServer = env.require("WebServer");
+  var webs = vm.runInContext("(function(WebServer, cfg) { return new WebServer(cfg); })", env.context)(WebServer, cfg || {});
+  var s = { env : env, webs : webs, errors : [] };
+  webs.on("error", function(e) { s.errors.push(e); });
+  /* Make a request. If body is given it's sent (in 'chunks' pieces) after
+   the Content-Length header. Returns the response, with status, headers and body.
+   If s.slow is set, the response's write() asks for a 'drain' event every time */
+  s.request = function(method, path, headers, body, chunks) {
+    var req = vm.runInContext("({})", env.context);
+    req.method = method;
+    req.url = path;
+    req.headers = vm.runInContext("({})", env.context);
+    for (var h in headers) req.headers[h] = headers[h];
+    if (body!==undefined && req.headers["Content-Length"]===undefined) req.headers["Content-Length"] = body.length;
+    var res = helpers.createSocket(env);
+    if (s.slow) res.write = function(d) { this.written.push(String(d)); return false; };
+    res.writeHead = function(status, headers) {
+      res.status = status;
+      res.headers = plain(headers);
+    };
+    webs.router(req, res);
+    if (body!==undefined) {
+      var size = Math.ceil(body.length / (chunks || 1));
+      for (var i=0; i<body.length; i+=size) req.emit("data", body.substr(i, size));
+    }
+    res.req = req;
+    res.body = res.take();
+    return res;
+  };
+  return s;
+}
+
+// Routing *************************************
+
+function createRoutes() {
+  var s = createServer({ memory : { "index.html" : { content : "index" }, "about.txt" : { content : "about" } } });
+  s.log = [];
+  s.webs.use(function(req, res, next) {
+    s.log.push(req.method + " " + req.path);
+    next();
+  });
+  s.webs.use("/api", function(req, res, next) {
+    req.user = "bob";
+    next();
+  });
+  s.webs.get("/api/led/:id", function(req, res, next) {
+    if (req.params.id=="next") return next();
+    res.json({ led : req.params.id, user : req.user, query : req.query.x });
+  });
+  s.webs.get("/api/led/:id", function(req, res) {
+    res.send("second " + req.params.id, "text/plain");
+  });
+  s.webs.post("/api/led/:id", function(req, res) {
+    res.status(201).send("made " + req.params.id);
+  });
+  s.webs["delete"]("/api/led/:id", function(req, res) {
+    throw new Error("can't delete");
+  });
+  s.webs.put("/api/led/:id", function(req, res, next) {
+    next("not allowed");
+  });
+  s.webs.all("/files/*", function(req, res) {
+    res.send(req.method + " file " + req.params[0]);
+  });
+  return s;
+}
+
+test("WebServer routes requests by method and path, with parameters", function() {
+  var s = createRoutes();
+  var res = s.request("GET", "/api/led/1?x=2");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers["Content-Type"], "application/json");
+  assert.deepStrictEqual(JSON.parse(res.body), { led : "1", user : "bob", query : "2" });
+  res = s.request("POST", "/api/led/5");
+  assert.deepStrictEqual([res.status, res.body], [201, "made 5"]);
+  res = s.request("GET", "/api/led/caf%C3%A9");
+  assert.strictEqual(JSON.parse(res.body).led, "café");
+  assert.strictEqual(s.request("PATCH", "/files/a/b/c.txt").body, "PATCH file a/b/c.txt");
+  assert.deepStrictEqual(s.log, ["GET /api/led/1", "POST /api/led/5", "GET /api/led/caf%C3%A9", "PATCH /files/a/b/c.txt"]);
+});
+
+test("WebServer passes requests on with next(), then to static files", function() {
+  var s = createRoutes();
+  var res = s.request("GET", "/api/led/next");
+  assert.deepStrictEqual([res.headers["Content-Type"], res.body], ["text/plain", "second next"]);
+  assert.strictEqual(s.request("GET", "/").body, "index");
+  assert.strictEqual(s.request("GET", "/about.txt").body, "about");
+  res = s.request("GET", "/api/led/1/more");
+  assert.deepStrictEqual([res.status, res.body], [404, "File not found"]);
+});
+
+test("WebServer routes HEAD requests to GET handlers, without the body", function() {
+  var s = createRoutes();
+  var res = s.request("HEAD", "/api/led/1");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers["Content-Length"], JSON.stringify({ led : "1", user : "bob" }).length);
+  assert.strictEqual(res.body, "");
+});
+
+test("WebServer responds with 500 when a handler fails", function() {
+  var s = createRoutes();
+  var res = s.request("DELETE", "/api/led/1");
+  assert.deepStrictEqual([res.status, res.body], [500, "Error on 1: can't delete"]);
+  res = s.request("PUT", "/api/led/1");
+  assert.deepStrictEqual([res.status, res.body], [500, "Error on 1: not allowed"]);
+  assert.strictEqual(s.errors.length, 2);
+});
+
+test("WebServer responds with 400 to badly encoded parameters", function() {
+  var s = createRoutes();
+  var res = s.request("GET", "/api/led/%E0");
+  assert.deepStrictEqual([res.status, res.body], [400, "URIError on %E0: URI malformed"]);
+  assert.ok(res.ended);
+  // but they're fine for routes without parameters
+  assert.strictEqual(s.request("GET", "/files/%E0").body, "GET file %E0");
+});
+
+// Request bodies ******************************
+
+// A server that replies with what it parsed from the body. s.files are the files E.openFile wrote
+function createEcho(cfg) {
+  var s = createServer(cfg);
+  s.files = {};
+  vm.runInContext("E", s.env.context).openFile = function(path, mode) {
+    var file = s.files[path] = { mode : mode, data : "", writes : 0, closed : false };
+    return {
+      write : function(d) { file.data += d; file.writes++; },
+      close : function() { file.closed = true; }
+    };
+  };
+  s.webs.post("/echo", function(req, res) {
+    res.json({ body : req.body, files : req.files });
+  });
+  return s;
+}
+
+function post(s, type, body, chunks) {
+  var res = s.request("POST", "/echo", { "Content-Type" : type }, body, chunks);
+  return res.status==200 ? JSON.parse(res.body) : [res.status, res.body];
+}
+
+test("WebServer parses JSON, urlencoded and text bodies", function() {
+  var s = createEcho();
+  assert.deepStrictEqual(post(s, "application/json; charset=utf-8", '{"a":1,"b":[2]}', 3).body, { a : 1, b : [2] });
+  assert.deepStrictEqual(post(s, "application/x-www-form-urlencoded", "a=1+2&b=%26x&c").body, { a : "1 2", b : "&x", c : "" });
+  assert.strictEqual(post(s, "text/plain", "just text").body, "just text");
+  assert.deepStrictEqual(s.request("POST", "/echo").body, '{"body":{},"files":{}}');
+});
+
+test("WebServer rejects bad or oversized bodies", function() {
+  var s = createEcho({ body_limit : 20 });
+  assert.deepStrictEqual(post(s, "application/json", "{x}"), [400, "BodyError on echo: Invalid JSON"]);
+  assert.deepStrictEqual(post(s, "application/x-www-form-urlencoded", "a=%E0"), [400, "BodyError on echo: Invalid urlencoded body"]);
+  assert.deepStrictEqual(post(s, "text/plain", new Array(22).join("x")), [413, "BodyError on echo: Body larger than 20 bytes"]);
+  var res = s.request("POST", "/echo", { "Content-Type" : "text/plain", "Content-Length" : 2 }, "toolong");
+  assert.deepStrictEqual([res.status, res.body], [413, "BodyError on echo: Body longer than its Content-Length"]);
+  res = s.request("POST", "/echo", { "Content-Type" : "text/plain", "Content-Length" : 10 }, "short");
+  assert.strictEqual(res.headers, undefined); // still waiting
+  res.req.emit("close");
+  assert.deepStrictEqual([res.status, res.take()], [400, "BodyError on echo: Incomplete body"]);
+});
+
+var BOUNDARY = "----WebKitFormBoundaryXYZ";
+
+// A multipart/form-data body - parts are [name, value] or [name, value, filename]
+function multipart(parts) {
+  return parts.map(function(p) {
+    return "--" + BOUNDARY + "\r\nContent-Disposition: form-data; name=\"" + p[0] + "\"" +
+      (p.length>2 ? "; filename=\"" + p[2] + "\"\r\nContent-Type: application/octet-stream" : "") +
+      "\r\n\r\n" + p[1] + "\r\n";
+  }).join("") + "--" + BOUNDARY + "--\r\n";
+}
+
+test("WebServer writes multipart uploads to upload_path as they arrive", function() {
+  var s = createEcho({ upload_path : "/up", body_limit : 50, upload_limit : 100000 });
+  var big = new Array(2001).join("0123456789") + "\r\n--notquite";
+  var result = post(s, "multipart/form-data; boundary=" + BOUNDARY,
+    multipart([["title", "hello there"], ["file", big, "C:\\dir\\pic.bin"], ["other", "", "../../x.txt"]]), 500);
+  assert.deepStrictEqual(result, { body : { title : "hello there" }, files : {
+    file : { filename : "pic.bin", path : "/up/pic.bin", size : big.length, type : "application/octet-stream" },
+    other : { filename : "x.txt", path : "/up/x.txt", size : 0, type : "application/octet-stream" } } });
+  assert.strictEqual(s.files["/up/pic.bin"].data, big);
+  assert.ok(s.files["/up/pic.bin"].writes > 1);
+  assert.ok(s.files["/up/pic.bin"].closed && s.files["/up/x.txt"].closed);
+});
+
+test("WebServer rejects bad multipart uploads", function() {
+  var s = createEcho({ upload_path : "/up", body_limit : 50, upload_limit : 1000 });
+  var type = "multipart/form-data; boundary=" + BOUNDARY;
+  assert.deepStrictEqual(post(s, "multipart/form-data", multipart([["a", "b"]])),
+    [400, "BodyError on echo: No multipart boundary"]);
+  assert.deepStrictEqual(post(s, type, multipart([["a", new Array(1002).join("x")]])),
+    [413, "BodyError on echo: Upload larger than 1000 bytes"]);
+  assert.deepStrictEqual(post(s, type, multipart([["a", new Array(52).join("x")]])),
+    [413, "BodyError on echo: Field a larger than 50 bytes"]);
+  ["..", ".", "dir/", "a\\.."].forEach(function(name) {
+    assert.deepStrictEqual(post(s, type, multipart([["file", "data", name]])),
+      [400, "BodyError on echo: Invalid file name"]);
+  });
+  assert.deepStrictEqual(Object.keys(s.files), []);
+  // cut off half way through a file
+  var res = s.request("POST", "/echo", { "Content-Type" : type, "Content-Length" : 500 }, multipart([["file", "data", "a.txt"]]).substr(0, 150));
+  res.req.emit("close");
+  assert.deepStrictEqual([res.status, res.take()], [400, "BodyError on echo: Incomplete body"]);
+  assert.ok(s.files["/up/a.txt"].closed);
+  s = createEcho();
+  assert.deepStrictEqual(post(s, type, multipart([["file", "data", "a.txt"]])),
+    [403, "BodyError on echo: File uploads are not enabled"]);
+});
+
+// Static files ********************************
+
+/* A server with files in memory, and in 'disk' (path -> content) on a fake
+ file system. s.opened are the files opened with E.openFile */
+function createStatic(cfg, disk) {
+  var s = createServer(cfg);
+  s.opened = [];
+  s.env.addModule("fs", { statSync : function(path) {
+    if (disk[path]===undefined) return undefined;
+    return { size : disk[path].length, dir : false, mtime : new Date(1500000000000) };
+  }});
+  vm.runInContext("E", s.env.context).openFile = function(path, mode) {
+    if (disk[path]===undefined) return undefined;
+    var file = { path : path, pos : 0, closed : false,
+      read : function(n) {
+        var data = disk[path].substr(this.pos, n);
+        this.pos += n;
+        return data || undefined;
+      },
+      seek : function(pos) { this.pos = pos; },
+      close : function() { this.closed = true; },
+      pipe : function(res, opts) {
+        res.end(disk[path].substr(this.pos));
+        if (opts && opts.complete) opts.complete();
+      }
+    };
+    s.opened.push(file);
+    return file;
+  };
+  return s;
+}
+
+test("WebServer serves files with the Content-Type for their extension", function() {
+  var s = createStatic({ file_system : "/www", memory : {
+    "style.css" : { content : "a{}" },
+    "LOGO.PNG" : { content : "png" },
+    "data.bin" : { content : "bin" },
+    "feed" : { content : "<rss/>", type : "application/rss+xml" },
+    "custom.txt" : { content : "custom", header : { status : 200, "X-Thing" : "1" } }
+  }}, { "/www/app.js" : "go()", "/www/odd.dat" : "odd", "/www/odd.dat.type" : "text/odd" });
+  function type(path) { return s.request("GET", path).headers["Content-Type"]; }
+  assert.deepStrictEqual(["/style.css", "/LOGO.PNG", "/data.bin", "/feed", "/app.js", "/odd.dat"].map(type),
+    ["text/css", "image/png", "text/plain", "application/rss+xml", "application/javascript", "text/odd"]);
+  var res = s.request("GET", "/custom.txt");
+  assert.deepStrictEqual([res.headers["X-Thing"], res.headers["Content-Type"], res.body], ["1", undefined, "custom"]);
+  res = s.request("GET", "/missing.js");
+  assert.deepStrictEqual([res.status, res.headers["Content-Type"], res.body], [404, "text/plain", "File not found"]);
+  assert.ok(s.opened.every(function(f) { return f.closed; }));
+});
+
+test("WebServer sends 304 Not Modified when the ETag matches", function() {
+  var memory = { "index.html" : { content : "<p>hello</p>" } };
+  var s = createStatic({ file_system : "/www", cache_control : "max-age=60", memory : memory }, { "/www/logo.png" : "PNGDATA" });
+  var res = s.request("GET", "/");
+  var etag = res.headers.ETag;
+  assert.match(etag, /^"[0-9a-f]+-c"$/);
+  assert.strictEqual(res.headers["Cache-Control"], "max-age=60");
+  res = s.request("GET", "/", { "If-None-Match" : "\"other\", " + etag });
+  assert.deepStrictEqual([res.status, res.headers["Content-Length"], res.body], [304, undefined, ""]);
+  // disk files get theirs from the size and modification time
+  res = s.request("GET", "/logo.png", { "if-none-match" : "\"7-15d3ef79800\"" });
+  assert.deepStrictEqual([res.status, res.headers["Last-Modified"], res.body], [304, "Fri, 14 Jul 2017 02:40:00 GMT", ""]);
+  assert.ok(s.opened[0].closed);
+  assert.strictEqual(s.request("GET", "/logo.png").body, "PNGDATA");
+});
+
+test("WebServer changes a memory file's ETag when its content changes", function() {
+  var memory = { "index.html" : { content : "one" } };
+  var s = createStatic({ memory : memory }, {});
+  var etag = s.request("GET", "/").headers.ETag;
+  memory["index.html"].content = "two";
+  var res = s.request("GET", "/", { "If-None-Match" : etag });
+  assert.deepStrictEqual([res.status, res.body], [200, "two"]);
+  assert.notStrictEqual(res.headers.ETag, etag);
+  assert.strictEqual(s.request("GET", "/", { "If-None-Match" : res.headers.ETag }).status, 304);
+});
+
+test("WebServer serves gzipped files to clients that accept them", function() {
+  var s = createStatic({ file_system : "/www", memory : { "s.css" : { content : "a{}" }, "s.css.gz" : { content : "\x1f\x8bCSS" } } },
+    { "/www/app.js" : "go()", "/www/app.js.gz" : "\x1f\x8bJS" });
+  var res = s.request("GET", "/s.css", { "Accept-Encoding" : "gzip, deflate" });
+  assert.deepStrictEqual([res.headers["Content-Encoding"], res.headers.Vary, res.headers["Content-Type"], res.body],
+    ["gzip", "Accept-Encoding", "text/css", "\x1f\x8bCSS"]);
+  res = s.request("GET", "/s.css");
+  assert.deepStrictEqual([res.headers["Content-Encoding"], res.body], [undefined, "a{}"]);
+  res = s.request("GET", "/app.js", { "accept-encoding" : "gzip" });
+  assert.deepStrictEqual([res.headers["Content-Encoding"], res.headers["Content-Type"], res.headers["Content-Length"], res.body],
+    ["gzip", "application/javascript", 4, "\x1f\x8bJS"]);
+  assert.strictEqual(s.request("GET", "/app.js").body, "go()");
+});
+
+// Ranges and streams **************************
+
+test("WebServer sends the part of a file asked for with Range", function() {
+  var s = createStatic({ memory : { "a.txt" : { content : "abcdefghij" }, "u.txt" : { content : "snow ☃" } } }, {});
+  function range(r, headers) {
+    headers = headers || {};
+    headers.Range = r;
+    var res = s.request("GET", "/a.txt", headers);
+    return [res.status, res.headers["Content-Range"], res.headers["Content-Length"], res.body];
+  }
+  var res = s.request("GET", "/a.txt");
+  assert.deepStrictEqual([res.status, res.headers["Accept-Ranges"], res.body], [200, "bytes", "abcdefghij"]);
+  assert.deepStrictEqual(range("bytes=2-4"), [206, "bytes 2-4/10", 3, "cde"]);
+  assert.deepStrictEqual(range("bytes=7-"), [206, "bytes 7-9/10", 3, "hij"]);
+  assert.deepStrictEqual(range("bytes=-3"), [206, "bytes 7-9/10", 3, "hij"]);
+  assert.deepStrictEqual(range("bytes=8-100"), [206, "bytes 8-9/10", 2, "ij"]);
+  assert.deepStrictEqual(range("bytes=20-30"), [416, "bytes */10", 0, ""]);
+  assert.deepStrictEqual(range("bytes=5-2"), [416, "bytes */10", 0, ""]);
+  assert.deepStrictEqual(range("bytes=2-3", { "If-Range" : s.request("GET", "/a.txt").headers.ETag }), [206, "bytes 2-3/10", 2, "cd"]);
+  // ranges we don't do, or that have changed, get everything
+  [["bytes=0-1,4-5"], ["items=0-1"], ["bytes=0-1", { "If-Range" : "\"old\"" }],
+   ["bytes=abc"], ["bytes=2-x"], ["bytes=-"], ["bytes=-abc"]].forEach(function(r) {
+    assert.deepStrictEqual(range(r[0], r[1]), [200, undefined, 10, "abcdefghij"], r[0]);
+  });
+  // not for strings with characters that aren't one byte
+  res = s.request("GET", "/u.txt", { Range : "bytes=0-1" });
+  assert.deepStrictEqual([res.status, res.headers["Accept-Ranges"], res.headers["Content-Length"]], [200, undefined, 8]);
+});
+
+test("WebServer sends ranges of disk files, waiting for 'drain'", function() {
+  var data = new Array(301).join("0123456789");
+  var s = createStatic({ file_system : "/www" }, { "/www/log.csv" : data });
+  s.slow = true;
+  var res = s.request("GET", "/log.csv", { Range : "bytes=1000-2799" });
+  assert.deepStrictEqual([res.status, res.headers["Content-Range"], res.headers["Content-Length"]], [206, "bytes 1000-2799/3000", 1800]);
+  assert.strictEqual(res.body, data.substr(1000, 512)); // one chunk, then wait
+  var body = res.body;
+  for (var i=0; i<10 && !res.ended; i++) {
+    res.emit("drain");
+    body += res.take();
+  }
+  assert.strictEqual(body, data.substr(1000, 1800));
+  assert.ok(res.ended && s.opened[0].closed);
+  res = s.request("HEAD", "/log.csv", { Range : "bytes=0-3" });
+  assert.deepStrictEqual([res.status, res.headers["Content-Length"], res.body], [206, 4, ""]);
+  assert.ok(s.opened[1].closed);
+});
+
+test("WebServer sends streams of unknown length chunked", function() {
+  function lines() {
+    var i = 0;
+    return { read : function() { return i<3 ? "line " + (i++) + " ☃\n" : undefined; } };
+  }
+  var big = new Array(121).join("0123456789");
+  function bigStream() {
+    var pos = 0;
+    return { read : function(n) { var d = big.substr(pos, n); pos += n; return d || undefined; } };
+  }
+  var s = createStatic({ memory : {
+    "live.njs" : { content : function() { return { type : "text/plain", content : lines() }; } },
+    "big.njs" : { content : function() { return { content : bigStream() }; } },
+    "fixed.njs" : { content : function() { return { content : "dynamic!" }; } }
+  }}, {});
+  var res = s.request("GET", "/live.njs", { Range : "bytes=0-3" });
+  assert.deepStrictEqual([res.status, res.headers["Transfer-Encoding"], res.headers["Content-Length"]], [200, "chunked", undefined]);
+  assert.strictEqual(res.body, "b\r\nline 0 ☃\n\r\nb\r\nline 1 ☃\n\r\nb\r\nline 2 ☃\n\r\n0\r\n\r\n"); // ☃ is 3 bytes
+  assert.ok(res.ended);
+  res = s.request("GET", "/big.njs");
+  assert.strictEqual(res.body, "200\r\n" + big.substr(0, 512) + "\r\n200\r\n" + big.substr(512, 512) + "\r\nb0\r\n" + big.substr(1024) + "\r\n0\r\n\r\n");
+  // server side scripts aren't cached, but can have ranges if we know their length
+  res = s.request("GET", "/fixed.njs", { Range : "bytes=0-3" });
+  assert.deepStrictEqual([res.status, res.headers.ETag, res.body], [206, undefined, "dyna"]);
+});
+
+// Authentication ******************************
+
+function createAuth() {
+  var s = createStatic({ file_system : "/www", memory : {
+      "relay.njs" : { content : function(req) { return { content : "relay toggled by " + req.user }; } },
+      "admin.html" : { content : "admin page" },
+      "index.html" : { content : "open" }
+    },
+    auth : { realm : "Home", users : { admin : "pa:ss", guest : "g" }, token_secret : "tok-secret", max_failures : 3, lockout : 60,
+      rules : [{ path : "/relay.njs", type : ["digest", "basic"] }, { path : "/admin.html" },
+               { path : "/api", type : "token", users : ["admin"] }, { path : "/private" }] }
+  }, { "/www/private/notes.txt" : "secret notes", "/www/public.txt" : "public" });
+  s.webs.get("/api/x", function(req, res) { res.send("api for " + req.user); });
+  s.events = [];
+  s.webs.on("unauthorized", function(req, user, why) { s.events.push(["unauthorized", user, why]); });
+  s.webs.on("lockout", function(user) { s.events.push(["lockout", user]); });
+  return s;
+}
+
+function basic(user, password) {
+  return { Authorization : "Basic " + Buffer.from(user + ":" + password, "binary").toString("base64") };
+}
+
+test("WebServer asks for credentials for paths with an auth rule", function() {
+  var s = createAuth();
+  assert.strictEqual(s.request("GET", "/").body, "open");
+  assert.strictEqual(s.request("GET", "/public.txt").body, "public");
+  var res = s.request("GET", "/relay.njs");
+  assert.strictEqual(res.status, 401);
+  assert.match(res.headers["WWW-Authenticate"], /^Digest realm="Home", qop="auth", algorithm=SHA-256, nonce="[0-9a-f]+\.[0-9a-f]{32}", Basic realm="Home"$/);
+  res = s.request("GET", "/api/x");
+  assert.deepStrictEqual([res.status, res.headers["WWW-Authenticate"], res.body], [401, "Bearer realm=\"Home\"", "Unauthorized"]);
+  assert.deepStrictEqual(s.events, []); // no credentials isn't a failure
+});
+
+test("WebServer checks Basic credentials, and locks out users after too many failures", function() {
+  var s = createAuth();
+  assert.strictEqual(s.request("GET", "/relay.njs", basic("admin", "pa:ss")).body, "relay toggled by admin");
+  assert.strictEqual(s.request("GET", "/relay.njs", basic("guest", "g")).body, "relay toggled by guest");
+  assert.strictEqual(s.request("GET", "/relay.njs", basic("nobody", "g")).status, 401);
+  assert.strictEqual(s.request("GET", "/relay.njs", { Authorization : "Basic " + btoa("nocolon") }).status, 401);
+  for (var i=0; i<3; i++) assert.strictEqual(s.request("GET", "/relay.njs", basic("admin", "wrong")).status, 401);
+  var res = s.request("GET", "/relay.njs", basic("admin", "pa:ss"));
+  assert.deepStrictEqual([res.status, res.body], [403, "Locked out"]);
+  assert.strictEqual(s.request("GET", "/relay.njs", basic("guest", "g")).status, 200);
+  s.env.advance(61000);
+  assert.strictEqual(s.request("GET", "/relay.njs", basic("admin", "pa:ss")).status, 200);
+  assert.deepStrictEqual(plain(s.events), [["unauthorized", "nobody", "failed"], ["unauthorized", "", "failed"],
+    ["unauthorized", "admin", "failed"], ["unauthorized", "admin", "failed"], ["unauthorized", "admin", "failed"],
+    ["lockout", "admin"], ["unauthorized", "admin", "locked"]]);
+});
+
+test("WebServer checks Digest credentials", function() {
+  var s = createAuth();
+  var nonce = /nonce="([^"]+)"/.exec(s.request("GET", "/relay.njs").headers["WWW-Authenticate"])[1];
+  function H(str) { return crypto.createHash("sha256").update(str).digest("hex"); }
+  function digest(user, password, uri, nonce) {
+    var response = H(H(user + ":Home:" + password) + ":" + nonce + ":00000001:abc:auth:" + H("GET:" + uri));
+    return { Authorization : "Digest username=\"" + user + "\", realm=\"Home\", nonce=\"" + nonce + "\", uri=\"" + uri +
+      "\", algorithm=SHA-256, response=\"" + response + "\", qop=auth, nc=00000001, cnonce=\"abc\"" };
+  }
+  assert.strictEqual(s.request("GET", "/relay.njs?on=1", digest("admin", "pa:ss", "/relay.njs?on=1", nonce)).body, "relay toggled by admin");
+  assert.strictEqual(s.request("GET", "/relay.njs", digest("admin", "bad", "/relay.njs", nonce)).status, 401);
+  assert.strictEqual(s.request("GET", "/relay.njs", digest("admin", "pa:ss", "/other", nonce)).status, 401);
+  assert.strictEqual(s.request("GET", "/relay.njs", digest("admin", "pa:ss", "/relay.njs", "0.fake")).status, 401);
+  // old nonces are stale, so the browser can try again without asking for the password
+  s.env.advance(301000);
+  var res = s.request("GET", "/relay.njs", digest("admin", "pa:ss", "/relay.njs", nonce));
+  assert.strictEqual(res.status, 401);
+  assert.match(res.headers["WWW-Authenticate"], /, stale=true, Basic/);
+});
+
+test("WebServer checks bearer tokens, and which users a rule allows", function() {
+  var s = createAuth();
+  var token = s.webs.createToken("admin", 100), guest = s.webs.createToken("guest");
+  assert.strictEqual(s.request("GET", "/api/x", { Authorization : "Bearer " + token }).body, "api for admin");
+  assert.strictEqual(s.request("GET", "/api/x?access_token=" + encodeURIComponent(token)).body, "api for admin");
+  var res = s.request("GET", "/api/x", { Authorization : "Bearer " + guest });
+  assert.deepStrictEqual([res.status, res.body], [403, "Forbidden"]);
+  res = s.request("GET", "/api/x", { Authorization : "Bearer " + token.slice(0, -2) + "00" });
+  assert.deepStrictEqual([res.status, res.headers["WWW-Authenticate"]], [401, "Bearer realm=\"Home\", error=\"invalid_token\""]);
+  assert.strictEqual(s.request("GET", "/api/x", { Authorization : "Bearer garbage" }).status, 401);
+  assert.strictEqual(s.request("GET", "/api/x", basic("admin", "pa:ss")).status, 401); // not allowed for this rule
+  s.env.advance(101000);
+  assert.strictEqual(s.request("GET", "/api/x", { Authorization : "Bearer " + token }).status, 401);
+});
+
+test("WebServer applies auth rules whatever the path's case, and wherever memory files are requested from", function() {
+  var s = createAuth();
+  ["/admin.html", "/foo/admin.html", "/ADMIN.HTML", "/x/y/admin.html", "/Relay.njs", "/PRIVATE/notes.txt", "/Api/x"].forEach(function(path) {
+    assert.strictEqual(s.request("GET", path).status, 401, path);
+  });
+  assert.strictEqual(s.request("GET", "/foo/admin.html", basic("admin", "pa:ss")).body, "admin page");
+  assert.strictEqual(s.request("GET", "/private/notes.txt", basic("guest", "g")).body, "secret notes");
+  assert.strictEqual(s.request("GET", "/foo/index.html").body, "open");
+});
+
+test("WebServer responds with 400 to badly encoded parameters in auth rules", function() {
+  var s = createStatic({ memory : { "index.html" : { content : "open" } },
+    auth : { users : { admin : "pw" }, rules : [{ path : "/api/:id" }] } });
+  var res = s.request("GET", "/api/%E0");
+  assert.deepStrictEqual([res.status, res.body], [400, "URIError on %E0: URI malformed"]);
+  assert.strictEqual(s.request("GET", "/api/1").status, 401);
+  assert.strictEqual(s.request("GET", "/").body, "open");
+});
@@ -0,0 +1,39 @@
+var test = require("node:test");
+var assert = require("assert");
+var vm = require("vm");
+var shim = require("../bin/espruinoshim.js");
+
+test("shim buffers belong to the module's context", function() {
+  var env = shim.create();
+  env.I2C1.addDevice(0x10, env.createRegisterDevice([1, 2, 3]));
+  env.context.i2cData = env.I2C1.readFrom(0x10, 3);
+  assert.strictEqual(vm.runInContext("i2cData instanceof Uint8Array", env.context), true);
+  assert.strictEqual(vm.runInContext("E.toArrayBuffer('abc') instanceof ArrayBuffer", env.context), true);
+  assert.strictEqual(vm.runInContext("E.toUint8Array('abc') instanceof Uint8Array", env.context), true);
+});
+
+test("shim toBytes handles ArrayBuffers from any context", function() {
+  var env = shim.create();
+  var buffer = vm.runInContext("new Uint8Array([65,66,67]).buffer", env.context);
+  assert.deepStrictEqual(shim.toBytes(buffer), [65, 66, 67]);
+  assert.strictEqual(env.E.toString(buffer), "ABC");
+  assert.deepStrictEqual(shim.toBytes(new Uint8Array([1, 2]).buffer), [1, 2]);
+});
+
+test("shim timers and watches only run when time is advanced", function() {
+  var env = shim.create();
+  var fired = 0, presses = 0;
+  env.context.setTimeout(function() { fired++; }, 100);
+  env.context.setWatch(function() { presses++; }, env.B1, { repeat : true, edge : "rising", debounce : 50 });
+  env.advance(99);
+  assert.strictEqual(fired, 0);
+  env.advance(1);
+  assert.strictEqual(fired, 1);
+  // bounces shorter than the debounce time are ignored
+  env.setPin(env.B1, 1);
+  env.advance(10);
+  env.setPin(env.B1, 0);
+  env.setPin(env.B1, 1);
+  env.advance(100);
+  assert.strictEqual(presses, 1);
+});
@@ -0,0 +1,37 @@
+/* Helpers for tests that use the fake Espruino runtime in bin/espruinoshim.js */
+var vm = require("vm");
+var shim = require("../bin/espruinoshim.js");
+
+/** Create a fake Espruino environment */
+exports.create = function(options) {
+  return shim.create(options);
+};
+
+/** Create a socket in the environment's context (so it has on/emit like
+ Espruino's) that records everything written to it. Call socket.take() to
+ get what was written since last time, as one string */
+exports.createSocket = function(env) {
+  return vm.runInContext("({" +
+    "written : [], ended : false," +
+    "write : function(d) { this.written.push(String(d)); return true; }," +
+    "end : function(d) { if (d!==undefined) this.write(d); this.ended = true; }," +
+    "take : function() { var w = this.written.join(''); this.written = []; return w; }" +
+    "})", env.context);
+};
+
+/** A string of bytes, eg. bytes(0x20, 2, 0, 0) */
+exports.bytes = function() {
+  return String.fromCharCode.apply(null, arguments);
+};
+
+/** Copy arrays and objects from the environment's context into plain node.js
+ ones, so they can be compared with assert.deepStrictEqual */
+exports.plain = function plain(value) {
+  if (Array.isArray(value)) return Array.prototype.map.call(value, plain);
+  if (value && typeof value=="object") {
+    var result = {};
+    for (var k in value) result[k] = plain(value[k]);
+    return result;
+  }
+  return value;
+};
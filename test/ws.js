@@ -0,0 +1,424 @@
+var test = require("node:test");
+var assert = require("assert");
+var vm = require("vm");
+var crypto = require("crypto");
+var helpers = require("./helpers.js");
+var bytes = helpers.bytes;
+var plain = helpers.plain;
+
+var GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function sha1(str) {
+  return crypto.createHash("sha1").update(str, "binary").digest("binary");
+}
+
+// An environment with Espruino's 'crypto' (SHA1 returns an ArrayBuffer)
+function createEnv() {
+  var env = helpers.create();
+  env.addModule("crypto", { SHA1 : function(s) { return env.E.toArrayBuffer(sha1(s)); } });
+  return env;
+}
+
+/* Create a websocket client with a fake 'net'. c.socket is the socket it
+ connected with (which closes when it's ended), and c.sockets all of them */
+function createClient(options, env) {
+  env = env || createEnv();
+  var c = { env : env, sockets : [], connects : [] };
+  env.addModule("net", { connect : function(opts, callback) {
+    var socket = helpers.createSocket(env);
+    socket.end = function() {
+      this.ended = true;
+      this.emit("close");
+    };
+    c.socket = socket;
+    c.sockets.push(socket);
+    c.connects.push(plain(opts));
+    callback(socket);
+  }});
+  c.ws = env.require("ws")("host", options);
+  c.events = [];
+  ["open", "ping", "pong"].forEach(function(e) {
+    c.ws.on(e, function() { c.events.push([e]); });
+  });
+  c.ws.on("error", function(err) { c.events.push(["error", err.message || err]); });
+  c.ws.on("message", function(msg, isBinary) {
+    if (isBinary) c.events.push(["message", Array.prototype.slice.call(new Uint8Array(msg)), true]);
+    else c.events.push(["message", msg]);
+  });
+  c.ws.on("close", function(code, reason) { c.events.push(["close", code, reason]); });
+  return c;
+}
+
+// The headers of the HTTP request a websocket client sent, lowercased
+function requestHeaders(request) {
+  var headers = {};
+  request.split("\r\n").slice(1).forEach(function(line) {
+    var colon = line.indexOf(":");
+    if (colon>0) headers[line.substr(0, colon).toLowerCase()] = line.substr(colon+1).trim();
+  });
+  return headers;
+}
+
+// Reply to the client's upgrade request as a server would
+function acceptResponse(request, extra) {
+  var key = requestHeaders(request)["sec-websocket-key"];
+  return "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+         "Sec-WebSocket-Accept: " + Buffer.from(sha1(key+GUID), "binary").toString("base64") + "\r\n" +
+         (extra || "") + "\r\n";
+}
+
+// Create a client and complete the handshake
+function openClient(options) {
+  var c = createClient(options || { masking : false });
+  c.socket.emit("data", acceptResponse(c.socket.take()));
+  assert.deepStrictEqual(c.events, [["open"]]);
+  c.events = [];
+  return c;
+}
+
+// A websocket frame, as a server would send it (unmasked)
+function frame(b0, payload, len64) {
+  var l = payload.length;
+  if (len64) return bytes(b0, 127, 0, 0, 0, 0, (l>>24)&255, (l>>16)&255, (l>>8)&255, l&255) + payload;
+  if (l>125) return bytes(b0, 126, l>>8, l&255) + payload;
+  return bytes(b0, l) + payload;
+}
+
+// Decode the frames in data (masked or not) into [[b0, payload], ...]
+function frames(data) {
+  var result = [];
+  while (data.length) {
+    var len = data.charCodeAt(1)&127, offset = 2;
+    if (len==126) { len = data.charCodeAt(2)<<8 | data.charCodeAt(3); offset = 4; }
+    else if (len==127) { len = data.charCodeAt(6)*0x1000000 + (data.charCodeAt(7)<<16 | data.charCodeAt(8)<<8 | data.charCodeAt(9)); offset = 10; }
+    var mask = [0, 0, 0, 0];
+    if (data.charCodeAt(1)&128) {
+      mask = data.substr(offset, 4).split("").map(function(ch) { return ch.charCodeAt(0); });
+      offset += 4;
+    }
+    var payload = "";
+    for (var i=0; i<len; i++) payload += String.fromCharCode(data.charCodeAt(offset+i) ^ mask[i&3]);
+    result.push([data.charCodeAt(0), payload]);
+    data = data.substr(offset+len);
+  }
+  return result;
+}
+
+// Framing *************************************
+
+test("ws reassembles fragmented messages, answering pings in between", function() {
+  var c = openClient();
+  c.socket.emit("data", frame(0x01, "Hel") + frame(0x89, "pp") + frame(0x00, "l"));
+  assert.deepStrictEqual(frames(c.socket.take()), [[0x8A, "pp"]]);
+  c.socket.emit("data", frame(0x80, "o"));
+  assert.deepStrictEqual(c.events, [["ping"], ["message", "Hello"]]);
+});
+
+test("ws delivers binary messages as ArrayBuffers", function() {
+  var c = openClient();
+  var received;
+  c.ws.on("message", function(msg) { received = msg; });
+  c.socket.emit("data", frame(0x02, bytes(1, 2)) + frame(0x80, bytes(255)));
+  assert.deepStrictEqual(c.events, [["message", [1, 2, 255], true]]);
+  assert.strictEqual(Object.prototype.toString.call(received), "[object ArrayBuffer]");
+  assert.ok(vm.runInContext("(function(m) { return m instanceof ArrayBuffer; })", c.env.context)(received));
+});
+
+test("ws handles 16 and 64 bit lengths, split over many 'data' events", function() {
+  var c = openClient();
+  var big = new Array(70001).join("x"), medium = new Array(301).join("y");
+  var data = frame(0x81, big, true) + frame(0x81, medium) + frame(0x81, "z");
+  for (var i=0; i<data.length; i+=7000) c.socket.emit("data", data.substr(i, 7000));
+  assert.deepStrictEqual(c.events.map(function(e) { return e[1].length; }), [70000, 300, 1]);
+  assert.strictEqual(c.events[0][1], big);
+  // and with the frame header split
+  c.events = [];
+  data = frame(0x81, medium);
+  c.socket.emit("data", data.substr(0, 1));
+  c.socket.emit("data", data.substr(1, 2));
+  c.socket.emit("data", data.substr(3));
+  assert.deepStrictEqual(c.events, [["message", medium]]);
+});
+
+test("ws reads masked frames", function() {
+  var c = openClient();
+  c.socket.emit("data", bytes(0x81, 0x83, 1, 2, 3, 4, 0x61^1, 0x62^2, 0x63^3));
+  assert.deepStrictEqual(c.events, [["message", "abc"]]);
+});
+
+test("ws sends text, binary and long messages", function() {
+  var c = openClient();
+  c.ws.send("hi");
+  c.ws.send(vm.runInContext("new Uint8Array([1,2,3])", c.env.context));
+  c.ws.send(vm.runInContext("new Uint8Array([4,5]).buffer", c.env.context));
+  var big = new Array(70001).join("x");
+  c.ws.send(big);
+  var sent = c.socket.take();
+  assert.strictEqual(sent.substr(sent.length-big.length-10, 10), bytes(0x81, 127, 0, 0, 0, 0, 0, 1, 0x11, 0x70));
+  assert.deepStrictEqual(frames(sent), [[0x81, "hi"], [0x82, bytes(1, 2, 3)], [0x82, bytes(4, 5)], [0x81, big]]);
+  c.ws.send(new Array(301).join("y"));
+  assert.strictEqual(c.socket.take().substr(0, 4), bytes(0x81, 126, 1, 44));
+});
+
+test("ws masks what it sends by default", function() {
+  var c = createClient();
+  c.socket.emit("data", acceptResponse(c.socket.take()));
+  c.ws.send("hello");
+  var sent = c.socket.take();
+  assert.strictEqual(sent.charCodeAt(1), 0x80 | 5);
+  assert.deepStrictEqual(frames(sent), [[0x81, "hello"]]);
+});
+
+test("ws close handshake started by the client", function() {
+  var c = openClient();
+  c.ws.close(1000, "bye");
+  assert.deepStrictEqual(frames(c.socket.take()), [[0x88, bytes(3, 232) + "bye"]]);
+  assert.ok(!c.socket.ended);
+  c.socket.emit("data", frame(0x88, bytes(3, 232)));
+  assert.strictEqual(c.socket.take(), ""); // we don't reply to the reply
+  assert.ok(c.socket.ended);
+  assert.deepStrictEqual(c.events, [["close", 1000, ""]]);
+});
+
+test("ws close handshake started by the server", function() {
+  var c = openClient();
+  c.socket.emit("data", frame(0x88, bytes(3, 233) + "going"));
+  assert.deepStrictEqual(frames(c.socket.take()), [[0x88, bytes(3, 233)]]);
+  assert.deepStrictEqual(c.events, [["close", 1001, "going"]]);
+  // no status code
+  c = openClient();
+  c.socket.emit("data", frame(0x88, ""));
+  assert.deepStrictEqual(c.events, [["close", 1005, ""]]);
+});
+
+test("ws gives up waiting for a close reply, or reports an abnormal close", function() {
+  var c = openClient();
+  c.ws.close();
+  c.env.advance(4999);
+  assert.ok(!c.socket.ended);
+  c.env.advance(1);
+  assert.deepStrictEqual(c.events, [["close", 1006, ""]]);
+  c = openClient();
+  c.socket.emit("close");
+  assert.deepStrictEqual(c.events, [["close", 1006, ""]]);
+});
+
+test("ws closes with 1002 on an unexpected continuation frame", function() {
+  var c = openClient();
+  c.socket.emit("data", frame(0x80, "x"));
+  assert.deepStrictEqual(frames(c.socket.take()), [[0x88, bytes(3, 234) + "Unexpected continuation"]]);
+  assert.deepStrictEqual(c.events, []);
+});
+
+// Handshake *************************************
+
+test("ws sends an upgrade request with a random 16 byte key", function() {
+  var c = createClient({ port : 8080, path : "/echo", protocol : "echo-protocol", headers : { "X-Thing" : 42 } });
+  assert.deepStrictEqual(c.connects, [{ host : "host", port : 8080 }]);
+  var request = c.socket.take();
+  assert.strictEqual(request.split("\r\n")[0], "GET /echo HTTP/1.1");
+  assert.strictEqual(request.substr(-4), "\r\n\r\n");
+  var headers = requestHeaders(request);
+  assert.deepStrictEqual({ host : headers.host, upgrade : headers.upgrade, connection : headers.connection,
+      version : headers["sec-websocket-version"], protocol : headers["sec-websocket-protocol"], thing : headers["x-thing"] },
+    { host : "host", upgrade : "websocket", connection : "Upgrade", version : "13", protocol : "echo-protocol", thing : "42" });
+  var key = headers["sec-websocket-key"];
+  assert.match(key, /^[A-Za-z0-9+/]{22}==$/);
+  assert.strictEqual(Buffer.from(key, "base64").length, 16);
+  var other = createClient();
+  assert.notStrictEqual(requestHeaders(other.socket.take())["sec-websocket-key"], key);
+});
+
+test("ws opens when the server accepts the key, even with frames in the same packet", function() {
+  var c = createClient({ protocol : "a, b", masking : false });
+  var response = acceptResponse(c.socket.take(), "Sec-WebSocket-Protocol: b\r\n");
+  c.socket.emit("data", response.substr(0, 20));
+  assert.deepStrictEqual(c.events, []);
+  c.socket.emit("data", response.substr(20) + frame(0x81, "hi"));
+  assert.deepStrictEqual(c.events, [["open"], ["message", "hi"]]);
+  assert.strictEqual(c.ws.selectedProtocol, "b");
+  assert.strictEqual(c.ws.responseHeaders["sec-websocket-protocol"], "b");
+});
+
+function rejected(response) {
+  var c = createClient();
+  var request = c.socket.take();
+  c.socket.emit("data", typeof response=="function" ? response(request) : response);
+  assert.ok(c.socket.ended);
+  return c.events;
+}
+
+test("ws rejects responses that aren't a valid upgrade", function() {
+  assert.deepStrictEqual(rejected("HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\n\r\n"),
+    [["error", "Unexpected response: HTTP/1.1 404 Not Found"], ["close", 1006, ""]]);
+  assert.deepStrictEqual(rejected(function(request) {
+    return acceptResponse(request).replace("Upgrade: websocket\r\n", "");
+  }), [["error", "Connection not upgraded"], ["close", 1006, ""]]);
+  assert.deepStrictEqual(rejected(function(request) {
+    return acceptResponse(request).replace("Connection: Upgrade", "Connection: keep-alive");
+  }), [["error", "Connection not upgraded"], ["close", 1006, ""]]);
+  // an accept that isn't for our key
+  assert.deepStrictEqual(rejected(function() {
+    return acceptResponse("GET / HTTP/1.1\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n");
+  }), [["error", "Invalid Sec-WebSocket-Accept"], ["close", 1006, ""]]);
+  assert.deepStrictEqual(rejected(function(request) {
+    return acceptResponse(request, "Sec-WebSocket-Protocol: chat\r\n");
+  }), [["error", "Server chose unrequested protocol chat"], ["close", 1006, ""]]);
+});
+
+test("ws follows redirects", function() {
+  var c = createClient({ masking : false });
+  c.socket.emit("data", "HTTP/1.1 302 Found\r\nLocation: /moved\r\n\r\n");
+  assert.ok(c.sockets[0].ended);
+  assert.strictEqual(c.socket.take().split("\r\n")[0], "GET /moved HTTP/1.1");
+  c.socket.emit("data", "HTTP/1.1 301 Moved Permanently\r\nLocation: ws://other:81/there\r\n\r\n");
+  assert.deepStrictEqual(c.connects, [{ host : "host", port : 80 }, { host : "host", port : 80 }, { host : "other", port : 81 }]);
+  var request = c.socket.take();
+  assert.strictEqual(request.split("\r\n")[0], "GET /there HTTP/1.1");
+  c.socket.emit("data", acceptResponse(request));
+  assert.deepStrictEqual(c.events, [["open"]]); // the old sockets closing doesn't emit 'close'
+});
+
+test("ws gives up after too many redirects, or a redirect it can't follow", function() {
+  var c = createClient();
+  for (var i=0; i<6; i++)
+    c.socket.emit("data", "HTTP/1.1 302 Found\r\nLocation: /again\r\n\r\n");
+  assert.strictEqual(c.sockets.length, 6);
+  assert.deepStrictEqual(c.events, [["error", "Too many redirects"], ["close", 1006, ""]]);
+  assert.deepStrictEqual(rejected("HTTP/1.1 302 Found\r\nLocation: https://elsewhere/\r\n\r\n"),
+    [["error", "Can't redirect to https://elsewhere/"], ["close", 1006, ""]]);
+});
+
+// Server *************************************
+
+// A websocket server on a fake 'http' module. s.handler is what handles requests
+function createServer() {
+  var env = createEnv();
+  var s = { env : env, requests : [] };
+  env.addModule("http", { createServer : function(handler) {
+    s.handler = handler;
+    return vm.runInContext("({ listen : function() {} })", env.context);
+  }});
+  s.server = env.require("ws").createServer(function(req, res) {
+    s.requests.push(req.url);
+    res.end("page");
+  });
+  s.websockets = [];
+  s.server.on("websocket", function(ws) { s.websockets.push(ws); });
+  return s;
+}
+
+// Make a request to the server - returns the response
+function request(s, url, headers) {
+  var req = vm.runInContext("({})", s.env.context);
+  req.url = url;
+  req.headers = headers || {};
+  var res = helpers.createSocket(s.env);
+  res.writeHead = function(status, headers) { res.head = [status, plain(headers)]; };
+  s.handler(req, res);
+  res.req = req;
+  return res;
+}
+
+// Open a websocket to the server - returns the response it's using as a socket
+function upgrade(s, url, headers) {
+  var h = { Connection : "Upgrade", Upgrade : "websocket", "Sec-WebSocket-Key" : "dGhlIHNhbXBsZSBub25jZQ==" };
+  for (var k in headers) h[k] = headers[k];
+  var res = request(s, url, h);
+  res.ws = s.websockets[s.websockets.length-1];
+  return res;
+}
+
+test("ws server passes normal requests to the callback", function() {
+  var s = createServer();
+  var res = request(s, "/index.html", { Connection : "keep-alive" });
+  assert.deepStrictEqual(s.requests, ["/index.html"]);
+  assert.strictEqual(res.take(), "page");
+  assert.deepStrictEqual(s.websockets, []);
+});
+
+test("ws server accepts upgrades, with the request's details", function() {
+  var s = createServer();
+  var res = upgrade(s, "/chat?name=bob", { "Sec-WebSocket-Protocol" : "chat, superchat" });
+  // example from RFC 6455 section 1.3
+  assert.deepStrictEqual(res.head, [101, { Upgrade : "websocket", Connection : "Upgrade",
+    "Sec-WebSocket-Accept" : "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=", "Sec-WebSocket-Protocol" : "chat" }]);
+  assert.deepStrictEqual(s.requests, []);
+  var ws = res.ws;
+  assert.deepStrictEqual([ws.url, ws.path, ws.selectedProtocol, ws.headers["Sec-WebSocket-Protocol"]],
+    ["/chat?name=bob", "/chat", "chat", "chat, superchat"]);
+  assert.strictEqual(s.server.clients.length, 1);
+  assert.strictEqual(s.server.clients[0], ws);
+});
+
+test("ws server reads masked frames and sends unmasked ones", function() {
+  var s = createServer();
+  var res = upgrade(s, "/");
+  var messages = [];
+  res.ws.on("message", function(msg) { messages.push(msg); });
+  res.req.emit("data", bytes(0x81, 0x82, 9, 8, 7, 6, 0x68^9, 0x69^8));
+  assert.deepStrictEqual(messages, ["hi"]);
+  res.ws.send("hello");
+  assert.strictEqual(res.take(), bytes(0x81, 5) + "hello");
+});
+
+test("ws server pings clients every keepAlive", function() {
+  var s = createServer();
+  var res = upgrade(s, "/");
+  var pings = [];
+  res.ws.on("ping", function(server) { pings.push(server); });
+  s.env.advance(60000);
+  assert.deepStrictEqual(pings, [true]);
+  assert.deepStrictEqual(frames(res.take()), [[0x89, "ping"]]);
+});
+
+test("ws server removes clients when they close", function() {
+  var s = createServer();
+  var a = upgrade(s, "/a"), b = upgrade(s, "/b");
+  var closes = [];
+  a.ws.on("close", function(code) { closes.push(code); });
+  a.req.emit("data", bytes(0x88, 0x82, 0, 0, 0, 0, 3, 232));
+  assert.deepStrictEqual(frames(a.take()), [[0x88, bytes(3, 232)]]);
+  assert.ok(a.ended);
+  a.req.emit("close");
+  assert.deepStrictEqual(closes, [1000]);
+  assert.strictEqual(s.server.clients.length, 1);
+  assert.strictEqual(s.server.clients[0], b.ws);
+  b.req.emit("close");
+  assert.strictEqual(s.server.clients.length, 0);
+  assert.strictEqual(s.env.getTimers().length, 0); // no more pings
+});
+
+test("ws server broadcasts to everyone, to rooms, or with a filter", function() {
+  var s = createServer();
+  var a = upgrade(s, "/a"), b = upgrade(s, "/b"), c = upgrade(s, "/c");
+  function received() {
+    return [a, b, c].map(function(res) {
+      return frames(res.take()).map(function(f) { return f[1]; });
+    });
+  }
+  a.ws.join("red");
+  b.ws.join("red");
+  b.ws.join("blue");
+  s.server.broadcast("all");
+  s.server.broadcast("reds", "red");
+  s.server.broadcast("blues", "blue");
+  s.server.broadcast("not a", function(ws) { return ws.path!="/a"; });
+  assert.deepStrictEqual(received(), [["all", "reds"], ["all", "reds", "blues", "not a"], ["all", "not a"]]);
+  b.ws.leave("red");
+  b.ws.leave("green"); // not in it
+  assert.deepStrictEqual(plain(b.ws.rooms), ["blue"]);
+  s.server.broadcast("reds", "red");
+  assert.deepStrictEqual(received(), [["reds"], [], []]);
+  // not to sockets that are closing
+  c.ws.close();
+  c.take();
+  s.server.broadcast("all");
+  assert.deepStrictEqual(received(), [["all"], ["all"], []]);
+});
+
+test("ws clients can't join rooms", function() {
+  var c = openClient();
+  assert.throws(function() { c.ws.join("red"); }, /Only websockets from createServer can join rooms/);
+  assert.throws(function() { c.ws.leave("red"); }, /Only websockets from createServer can leave rooms/);
+});